@@ -1,4 +1,6 @@
 // Makes tiles move smoothly and handles dragging
+import { fitBoard, tilePosition } from './board-layout.js';
+
 export class AnimationController {
     constructor(puzzle, boardElement) {
         this.puzzle = puzzle;
@@ -7,6 +9,7 @@ export class AnimationController {
         this.isDragging = false;
         this.draggedTiles = [];
         this.startPos = null;
+        this.lastPos = null;
         this.currentTile = null;
         
         this.setupBoard();
@@ -14,6 +17,7 @@ export class AnimationController {
 
     // Get everything ready
     setupBoard() {
+        this.layoutBoard();
         this.createAllTiles();
         this.setupDragHandlers();
         this.setupResizeHandler();
@@ -25,11 +29,17 @@ export class AnimationController {
         window.addEventListener('resize', () => {
             clearTimeout(resizeTimer);
             resizeTimer = setTimeout(() => {
+                this.layoutBoard();
                 this.updateFromState();
             }, 250);
         });
     }
 
+    // Size the tiles to fit the board shape (see fitBoard)
+    layoutBoard() {
+        this.layout = fitBoard(this.boardElement, this.puzzle.rows, this.puzzle.cols);
+    }
+
     // Make all the tiles
     createAllTiles() {
         this.boardElement.innerHTML = '';
@@ -37,8 +47,8 @@ export class AnimationController {
 
         const state = this.puzzle.getState();
         
-        for (let row = 0; row < this.puzzle.size; row++) {
-            for (let col = 0; col < this.puzzle.size; col++) {
+        for (let row = 0; row < this.puzzle.rows; row++) {
+            for (let col = 0; col < this.puzzle.cols; col++) {
                 const value = state.board[row][col];
                 
                 if (value !== 0) { // Skip the empty space
@@ -66,23 +76,7 @@ export class AnimationController {
 
     // Position a tile at the correct spot on the board
     positionTile(tile, row, col) {
-        const tileSize = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile-size'));
-        const gap = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--gap'));
-        const boardPadding = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--board-padding')) || 0;
-        
-        // The content area starts after the CSS padding
-        const contentWidth = this.boardElement.clientWidth - (2 * boardPadding);
-        const contentHeight = this.boardElement.clientHeight - (2 * boardPadding);
-        const expectedWidth = 4 * tileSize + 3 * gap;
-        const expectedHeight = 4 * tileSize + 3 * gap;
-        
-        // Calculate centering offset within the content area
-        const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
-        const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
-        
-        // Position relative to content area (accounting for CSS padding)
-        const x = boardPadding + horizontalOffset + col * (tileSize + gap);
-        const y = boardPadding + verticalOffset + row * (tileSize + gap);
+        const { x, y } = this.getBaseTransform(row, col);
         
         tile.style.position = 'absolute';
         tile.style.left = '0';
@@ -145,6 +139,7 @@ export class AnimationController {
         this.isDragging = true;
         this.currentTile = { tile, row, col };
         this.startPos = { x: clientX, y: clientY };
+        this.lastPos = { x: clientX, y: clientY };
         
         // Find all tiles that would move together
         const movableTiles = this.puzzle.getMovableTiles(row, col);
@@ -181,6 +176,7 @@ export class AnimationController {
 
     // Update tile positions while dragging
     updateDrag(clientX, clientY) {
+        this.lastPos = { x: clientX, y: clientY };
         const deltaX = clientX - this.startPos.x;
         const deltaY = clientY - this.startPos.y;
 
@@ -208,24 +204,7 @@ export class AnimationController {
 
     // Calculate where a tile should be positioned
     getBaseTransform(row, col) {
-        const tileSize = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile-size'));
-        const gap = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--gap'));
-        const boardPadding = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--board-padding')) || 0;
-        
-        // The content area starts after the CSS padding
-        const contentWidth = this.boardElement.clientWidth - (2 * boardPadding);
-        const contentHeight = this.boardElement.clientHeight - (2 * boardPadding);
-        const expectedWidth = 4 * tileSize + 3 * gap;
-        const expectedHeight = 4 * tileSize + 3 * gap;
-        
-        // Calculate centering offset within the content area
-        const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
-        const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
-
-        return {
-            x: boardPadding + horizontalOffset + col * (tileSize + gap),
-            y: boardPadding + verticalOffset + row * (tileSize + gap)
-        };
+        return tilePosition(this.boardElement, this.layout, row, col);
     }
 
     // Handle mouse release
@@ -246,6 +225,11 @@ export class AnimationController {
     endDrag() {
         if (!this.isDragging) return;
 
+        // Barely moved the pointer at all? Then it was a click/tap, not a drag
+        const tapTolerance = 8;
+        const wasTap = Math.abs(this.lastPos.x - this.startPos.x) < tapTolerance &&
+            Math.abs(this.lastPos.y - this.startPos.y) < tapTolerance;
+
         // Check if user dragged far enough to make a move
         const tile = this.currentTile.tile;
         const currentTransform = tile.style.transform;
@@ -289,6 +273,13 @@ export class AnimationController {
         this.draggedTiles = [];
         this.currentTile = null;
         this.startPos = null;
+        this.lastPos = null;
+
+        // Taps are handled here rather than with a click listener, so a drag never
+        // gets counted twice and touch screens (which cancel clicks) work the same way
+        if (wasTap) {
+            this.handleClick(tile);
+        }
     }
 
     // Smoothly move tiles to their new positions
@@ -306,8 +297,8 @@ export class AnimationController {
                 let newRow = -1;
                 let newCol = -1;
                 
-                for (let r = 0; r < this.puzzle.size; r++) {
-                    for (let c = 0; c < this.puzzle.size; c++) {
+                for (let r = 0; r < this.puzzle.rows; r++) {
+                    for (let c = 0; c < this.puzzle.cols; c++) {
                         if (state.board[r][c] === tile.value) {
                             newRow = r;
                             newCol = c;
@@ -333,8 +324,8 @@ export class AnimationController {
     updateFromState() {
         const state = this.puzzle.getState();
         
-        for (let row = 0; row < this.puzzle.size; row++) {
-            for (let col = 0; col < this.puzzle.size; col++) {
+        for (let row = 0; row < this.puzzle.rows; row++) {
+            for (let col = 0; col < this.puzzle.cols; col++) {
                 const value = state.board[row][col];
                 
                 if (value !== 0) {
@@ -349,12 +340,40 @@ export class AnimationController {
         }
     }
 
-    // Start over with a fresh board (when making new puzzles)
+    // Start over with a fresh board (when making new puzzles or changing size)
     rebuild() {
+        this.layoutBoard();
         this.createAllTiles();
     }
 
-    // Handle simple clicks (non-dragging)
+    // Point out the next move - the tile at row/col (and any it pushes along) glows and
+    // gets an arrow showing which way to slide it
+    showHint(row, col, direction) {
+        this.clearHint();
+
+        const arrows = { up: 'fa-arrow-up', down: 'fa-arrow-down', left: 'fa-arrow-left', right: 'fa-arrow-right' };
+        const tiles = Array.from(this.boardElement.querySelectorAll('.tile'));
+
+        this.puzzle.getMovableTiles(row, col).forEach(t => {
+            const tileElement = tiles.find(el => parseInt(el.dataset.row) === t.row && parseInt(el.dataset.col) === t.col);
+            if (!tileElement) return;
+
+            tileElement.classList.add('hint');
+            if (t.row === row && t.col === col) {
+                const arrow = document.createElement('i');
+                arrow.className = `fas ${arrows[direction]} hint-arrow`;
+                tileElement.appendChild(arrow);
+            }
+        });
+    }
+
+    // Take the hint highlight off again
+    clearHint() {
+        this.boardElement.querySelectorAll('.hint-arrow').forEach(arrow => arrow.remove());
+        this.boardElement.querySelectorAll('.tile.hint').forEach(tile => tile.classList.remove('hint'));
+    }
+
+    // Handle simple clicks (non-dragging) - slides the tile and everything between it and the gap
     handleClick(tile) {
         const row = parseInt(tile.dataset.row);
         const col = parseInt(tile.dataset.col);
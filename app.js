@@ -1,16 +1,70 @@
-//4x4 sliding number puzzle game
+//sliding number puzzle game - 4x4 by default, any shape from 2x2 to 8x8 (3x5, 2x8...)
 import { Puzzle } from './puzzle.js';
 import { AnimationController } from './animations.js';
+import { PuzzleSolver } from './solver.js';
+import { SolverClient } from './solver-client.js';
+import { GameStats } from './game-stats.js';
+import { StatsDashboard } from './stats-dashboard.js';
+import { ReplayPlayer } from './replay-player.js';
+import { ShareDialog } from './share-dialog.js';
+import { SavedGame } from './saved-game.js';
+import { GameTimer } from './game-timer.js';
+import { newSeedCode, formatSeed, parseSeed } from './random.js';
+import { DailyChallenge } from './daily-challenge.js';
+import { DIFFICULTIES, canPickDifficulty, findScramble } from './scramble-generator.js';
+
+const BOARD_SIDES = [2, 3, 4, 5, 6, 7, 8]; //rows and columns can each be any of these
+const INSPECTION_CHOICES = [0, 8, 15]; //seconds to look at a new scramble before the clock starts
+
+//how long the win screen spends looking for the shortest solution - a proven optimal
+//answer first, then the best one a quicker search can find
+const RATING_SEARCHES = [
+    { options: { mode: 'optimal', metric: 'multi' }, timeLimit: 5000 },
+    { options: { mode: 'balanced', metric: 'multi' }, timeLimit: 20000 }
+];
 
 
 class PuzzleGame {
     constructor() {
         this.puzzle = null;
         this.animations = null;
-        this.startTime = null;
+        this.timer = new GameTimer(); // Starts on the first move
+        this.inspectionTimer = new GameTimer(); // Counts down the look before the clock starts
+        this.inspecting = false;
+        this.paused = false; // Board hidden and clock stopped
         this.gameInProgress = false;
         this.initialState = null;
+        this.seed = null; // Shareable seed for this scramble (null for an imported one)
+        this.dailyDate = null; // Set while playing a daily challenge
         this.hasUserInteracted = false;
+        this.savedGame = new SavedGame();
+        this.resumableGame = this.savedGame.load(); // From last visit, if it wasn't finished
+        if (this.resumableGame &&
+            (!BOARD_SIDES.includes(this.resumableGame.rows) || !BOARD_SIDES.includes(this.resumableGame.cols))) {
+            this.resumableGame = null;
+        }
+        this.boardShape = this.resumableGame
+            ? { rows: this.resumableGame.rows, cols: this.resumableGame.cols }
+            : this.loadBoardShape(); // { rows, cols }
+        this.stats = new GameStats();
+        this.daily = new DailyChallenge();
+        this.statsDashboard = null; // Made once the page is ready
+        this.replayPlayer = null;
+        this.shareDialog = null;
+        this.recording = []; // Every move, undo and redo this game, with the game clock time
+        this.lastReplay = null; // The game that was just won, for the Replay button
+        this.solverClient = new SolverClient(this.boardShape.rows, this.boardShape.cols); // Works out hints in the background
+        this.hintPath = new Map(); // board -> next move, for every board on the last hint's solution
+        this.hintRequest = null;
+        this.ratingRequest = null; // Search for the shortest solution after a win
+        this.scrambleRequest = null; // Search for a puzzle of the picked difficulty
+        this.difficulty = localStorage.getItem('difficulty') in DIFFICULTIES ? localStorage.getItem('difficulty') : 'any';
+        this.hintsUsed = 0;
+        this.undosUsed = 0;
+        this.arrowKeysMove = localStorage.getItem('arrowKeysMove') === 'blank' ? 'blank' : 'tile';
+        this.inspectionSeconds = INSPECTION_CHOICES.includes(parseInt(localStorage.getItem('inspection')))
+            ? parseInt(localStorage.getItem('inspection'))
+            : 0;
         this.startGame();
     }
 
@@ -25,7 +79,7 @@ class PuzzleGame {
 
     //create puzzle and connect to display
     setupPuzzleBoard() {
-        this.puzzle = new Puzzle(4);
+        this.puzzle = new Puzzle(this.boardShape.rows, this.boardShape.cols);
         
         const boardElement = document.getElementById('puzzle-board');
         if (!boardElement) {
@@ -39,44 +93,252 @@ class PuzzleGame {
         this.puzzle.on('move', (data) => {
             if (!this.hasUserInteracted && this.gameInProgress) {
                 this.hasUserInteracted = true;
+                this.startClock();
                 console.log('First user move detected');
             }
+            //the gap ends up where the clicked tile was, so that's the move to replay
+            this.recordAction({ row: data.newEmptyPos.row, col: data.newEmptyPos.col });
+            this.animations.clearHint();
+            this.animations.animateMove(data.tiles, data.newEmptyPos);
+        });
+
+        //undo slides the same tiles back the other way, redo slides them again
+        this.puzzle.on('undo', (data) => {
+            this.undosUsed++;
+            this.recordAction({ undo: true });
+            this.animations.clearHint();
+            this.animations.animateMove(data.tiles, data.newEmptyPos);
+        });
+        this.puzzle.on('redo', (data) => {
+            this.recordAction({ redo: true });
+            this.animations.clearHint();
             this.animations.animateMove(data.tiles, data.newEmptyPos);
         });
 
-        //check if puzzle solved after each move
+        //check if puzzle solved after each move, and save the game so a reload can't lose it
         this.puzzle.on('stateChange', (state) => {
             this.updateMoveCounter(state.moveCount);
+            this.updateHistoryButtons();
             this.animations.updateFromState();
             if (state.isSolved && state.moveCount > 0) {
                 this.celebrateWin();
+            } else {
+                this.saveGame();
             }
         });
+        this.setupGameSaving();
+        this.setupTimer();
 
-        //start with a shuffled puzzle
-        this.puzzle.shuffle();
+        //pick up last visit's game if there is one
+        const saved = this.resumableGame;
+        if (saved && this.puzzle.restoreGame(saved.initialBoard, saved.history, saved.redoStack || [])) {
+            this.animations.rebuild();
+            this.offerResume(saved);
+            return;
+        }
+
+        //otherwise start with a shuffled puzzle
+        this.seed = formatSeed(this.boardShape.rows, this.boardShape.cols, newSeedCode());
+        this.puzzle.shuffleWithSeed(this.seed);
+        this.updateSeedDisplay();
         
         // Set up the game state for a fresh start
-        const puzzleState = this.puzzle.getState();
-        this.initialState = [];
+        this.initialState = this.puzzle.getBoardArray();
         
-        // Convert 2D board to flat array
-        for (let row = 0; row < 4; row++) {
-            for (let col = 0; col < 4; col++) {
-                this.initialState.push(puzzleState.board[row][col]);
-            }
-        }
-        
-        this.startTime = Date.now();
         this.gameInProgress = true;
         this.hasUserInteracted = false;
         this.updateMoveCounter(0);
+        this.startInspection();
+        this.saveGame();
+
+        //a plain shuffle is only a stand-in until a puzzle of the picked difficulty turns up
+        if (this.usesDifficulty()) this.newPuzzle();
+    }
+
+    //ask whether to carry on with the saved game or start a new one - the clock
+    //stays stopped until the player picks
+    offerResume(saved) {
+        const modal = document.getElementById('resume-modal');
+        if (!modal) {
+            this.resumeGame(saved);
+            return;
+        }
+
+        document.getElementById('resume-board').textContent = `${saved.rows}x${saved.cols}`;
+        document.getElementById('resume-moves').textContent = saved.moveCount;
+        document.getElementById('resume-time').textContent = this.formatTime(Math.floor(saved.elapsed / 1000));
+        modal.style.display = 'flex';
+
+        document.getElementById('resume-game-btn').onclick = () => {
+            modal.style.display = 'none';
+            this.resumeGame(saved);
+        };
+        document.getElementById('resume-new-btn').onclick = () => {
+            modal.style.display = 'none';
+            this.newPuzzle();
+        };
+    }
+
+    //carry on from the saved game (the board is already restored)
+    resumeGame(saved) {
+        this.initialState = saved.initialBoard;
+        this.seed = saved.seed || null;
+        this.dailyDate = saved.dailyDate || null;
+        this.updateSeedDisplay();
+        this.gameInProgress = true;
+        this.hasUserInteracted = saved.moveCount > 0 || saved.elapsed > 0;
+        this.timer.reset(saved.elapsed); //only time actually spent playing counts
+        if (this.hasUserInteracted) this.startClock();
+        this.updateTimerDisplay();
+        this.hintsUsed = saved.hintsUsed || 0;
+        this.undosUsed = saved.undosUsed || 0;
+        this.recording = saved.recording || [];
+        this.updateMoveCounter(this.puzzle.moveCount);
+        this.updateHistoryButtons();
+        console.log('Resumed saved game');
+    }
+
+    //remember the game in progress so a reload can pick it up again
+    saveGame() {
+        if (!this.gameInProgress) return;
+
+        this.savedGame.save({
+            puzzle: this.puzzle,
+            initialBoard: this.initialState,
+            seed: this.seed,
+            dailyDate: this.dailyDate,
+            elapsed: this.timer.getElapsed(),
+            hintsUsed: this.hintsUsed,
+            undosUsed: this.undosUsed,
+            recording: this.recording
+        });
+    }
+
+    //note a move for the replay - t is the game clock in milliseconds
+    recordAction(action) {
+        if (!this.gameInProgress) return;
+        this.recording.push({ ...action, t: this.timer.getElapsed() });
+    }
+
+    //also save right before the page goes away, so the clock is exact - switching
+    //tabs pauses the game too, so time away doesn't count
+    setupGameSaving() {
+        window.addEventListener('pagehide', () => this.saveGame());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                if (this.timer.isRunning() || this.inspecting) this.pauseGame();
+                this.saveGame();
+            }
+        });
+    }
+
+    //clock next to the move counter, pause button and the inspection setting
+    setupTimer() {
+        setInterval(() => this.tickTimer(), 200);
+
+        document.getElementById('pause-btn')?.addEventListener('click', () => {
+            if (this.paused) {
+                this.resumePlay();
+            } else {
+                this.pauseGame();
+            }
+        });
+        document.getElementById('resume-play-btn')?.addEventListener('click', () => this.resumePlay());
+
+        const inspectionSelect = document.getElementById('inspection');
+        if (inspectionSelect) {
+            inspectionSelect.value = this.inspectionSeconds;
+            inspectionSelect.addEventListener('change', () => {
+                this.inspectionSeconds = parseInt(inspectionSelect.value) || 0;
+                localStorage.setItem('inspection', this.inspectionSeconds);
+                inspectionSelect.blur(); //so the arrow keys go back to the board
+            });
+        }
+    }
+
+    //the game clock starts on the first move, or when inspection runs out
+    startClock() {
+        this.hasUserInteracted = true; //so pausing before the first move still resumes the clock
+        this.inspecting = false;
+        this.inspectionTimer.reset();
+        if (!this.paused) this.timer.start();
+        this.updateTimerDisplay();
+    }
+
+    //a few seconds to study a new scramble - the clock starts when it runs out
+    startInspection() {
+        this.inspecting = this.inspectionSeconds > 0;
+        this.inspectionTimer.reset();
+        if (this.inspecting) this.inspectionTimer.start();
+        this.updateTimerDisplay();
+    }
+
+    tickTimer() {
+        if (this.inspecting && this.inspectionTimer.getElapsed() >= this.inspectionSeconds * 1000) {
+            this.startClock();
+        } else if (this.timer.isRunning() || this.inspecting) {
+            this.updateTimerDisplay();
+        }
+    }
+
+    updateTimerDisplay() {
+        const display = document.getElementById('timer-display');
+        if (!display) return;
+
+        if (this.inspecting) {
+            const left = Math.ceil(this.inspectionSeconds - this.inspectionTimer.getElapsed() / 1000);
+            display.textContent = `Inspect ${Math.max(left, 0)}`;
+        } else {
+            display.textContent = this.formatTime(Math.floor(this.timer.getElapsed() / 1000));
+        }
+    }
+
+    //stop the clock and hide the board so it can't be studied for free
+    pauseGame() {
+        if (!this.gameInProgress || this.paused) return;
+
+        this.paused = true;
+        this.timer.pause();
+        this.inspectionTimer.pause();
+        this.animations.clearHint();
+        this.showPaused(true);
+        this.saveGame();
+    }
+
+    resumePlay() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        if (this.inspecting) {
+            this.inspectionTimer.start();
+        } else if (this.hasUserInteracted) {
+            this.timer.start();
+        }
+        this.showPaused(false);
+    }
+
+    showPaused(paused) {
+        document.getElementById('puzzle-board')?.classList.toggle('paused', paused);
+        document.getElementById('pause-overlay')?.classList.toggle('hidden', !paused);
+
+        const pauseButton = document.getElementById('pause-btn');
+        if (pauseButton) {
+            pauseButton.innerHTML = paused ? '<i class="fas fa-play"></i>' : '<i class="fas fa-pause"></i>';
+            pauseButton.title = paused ? 'Resume' : 'Pause';
+        }
+        this.updateTimerDisplay();
     }
 
     //hook up button clicks
     wireUpButtons() {
         const buttons = {
-            'shuffle-btn': () => this.shufflePuzzle(),
+            'shuffle-btn': () => this.newPuzzle(),
+            'hint-btn': () => this.showHint(),
+            'undo-btn': () => this.undoMove(),
+            'redo-btn': () => this.redoMove(),
+            'share-btn': () => this.shareDialog.open(),
+            'daily-btn': () => this.openDailyModal(),
+            'stats-btn': () => this.statsDashboard.open(`${this.boardShape.rows}x${this.boardShape.cols}`),
             'customize-colors-btn': () => this.openColorModal(),
             'tutorial-trigger': () => this.openTutorial()
         };
@@ -89,32 +351,486 @@ class PuzzleGame {
             }
         });
 
+        this.replayPlayer = new ReplayPlayer();
+        this.statsDashboard = new StatsDashboard(this.stats, (replay) => this.replayPlayer.open(replay));
+        this.shareDialog = new ShareDialog({
+            getGame: () => this.getShareableGame(),
+            importActions: {
+                'share-watch-btn': (game) => {
+                    if (game.actions.length === 0) {
+                        throw new Error('This is just a scramble with no moves to watch - try "Play Scramble".');
+                    }
+                    this.replayPlayer.open(game);
+                },
+                'share-play-btn': (game) => this.playScramble(game)
+            }
+        });
         this.setupColorModal();
         this.setupTutorialModal();
+        this.setupHistoryShortcuts();
+        this.setupKeyboardControls();
+        this.setupBoardShapeSelect();
+        this.setupSeedInput();
+        this.setupDailyModal();
+        this.setupDifficultySelect();
     }
 
-    //mix things up randomly - creates a new random puzzle
-    shufflePuzzle() {
-        this.puzzle.shuffle();
-        
-        // Store this shuffled state for any systems that might need it
-        const puzzleState = this.puzzle.getState();
-        this.initialState = [];
-        
-        // Convert 2D board to flat array
-        for (let row = 0; row < 4; row++) {
-            for (let col = 0; col < 4; col++) {
-                this.initialState.push(puzzleState.board[row][col]);
+    //shape from last time, if there is one (older versions only saved one number for a square board)
+    loadBoardShape() {
+        const saved = localStorage.getItem('boardShape') || localStorage.getItem('boardSize') || '';
+        const [rows, cols = rows] = saved.split('x').map(n => parseInt(n));
+        if (BOARD_SIDES.includes(rows) && BOARD_SIDES.includes(cols)) {
+            return { rows, cols };
+        }
+        return { rows: 4, cols: 4 };
+    }
+
+    //rows x columns pickers under the board
+    setupBoardShapeSelect() {
+        const rowsSelect = document.getElementById('board-rows');
+        const colsSelect = document.getElementById('board-cols');
+        if (!rowsSelect || !colsSelect) return;
+
+        rowsSelect.value = this.boardShape.rows;
+        colsSelect.value = this.boardShape.cols;
+        [rowsSelect, colsSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                this.changeBoardShape(parseInt(rowsSelect.value), parseInt(colsSelect.value));
+                select.blur(); //so the arrow keys go back to the board
+            });
+        });
+    }
+
+    //start a new game on a different shape board
+    changeBoardShape(rows, cols) {
+        if (!BOARD_SIDES.includes(rows) || !BOARD_SIDES.includes(cols)) return;
+        if (rows === this.boardShape.rows && cols === this.boardShape.cols) return;
+
+        this.setBoardShape(rows, cols);
+        this.newPuzzle();
+    }
+
+    //switch the puzzle, the hint solver and the pickers over to another shape
+    setBoardShape(rows, cols) {
+        this.scrambleRequest?.abort(); //it was looking for the old shape
+        this.boardShape = { rows, cols };
+        localStorage.setItem('boardShape', `${rows}x${cols}`);
+
+        const rowsSelect = document.getElementById('board-rows');
+        const colsSelect = document.getElementById('board-cols');
+        if (rowsSelect) rowsSelect.value = rows;
+        if (colsSelect) colsSelect.value = cols;
+
+        this.resetHints();
+        this.solverClient.terminate();
+        this.solverClient = new SolverClient(rows, cols);
+
+        this.puzzle.setSize(rows, cols);
+        this.updateDifficultySelect();
+    }
+
+    //start a new game from an imported scramble
+    playScramble({ rows, cols, scramble, target }) {
+        //games from the solver page can lead to another target - only play ones we can solve
+        if (target && !new PuzzleSolver(rows, cols).isSolvable(scramble)) {
+            throw new Error('This scramble only leads to its own target, not the solved board - open it on the solver page instead.');
+        }
+        if (rows !== this.boardShape.rows || cols !== this.boardShape.cols) {
+            this.setBoardShape(rows, cols);
+        }
+        this.shufflePuzzle({ scramble });
+    }
+
+    //start the scramble a seed like "4x4-k3f9ma" makes - false if it isn't a seed we can play
+    playSeed(text, dailyDate = null) {
+        const parsed = parseSeed(text);
+        if (!parsed || !BOARD_SIDES.includes(parsed.rows) || !BOARD_SIDES.includes(parsed.cols)) {
+            return false;
+        }
+
+        if (parsed.rows !== this.boardShape.rows || parsed.cols !== this.boardShape.cols) {
+            this.setBoardShape(parsed.rows, parsed.cols);
+        }
+        this.shufflePuzzle({ seed: formatSeed(parsed.rows, parsed.cols, parsed.code), dailyDate });
+        return true;
+    }
+
+    //seed box under the board - shows this game's seed, or type one in to play it
+    setupSeedInput() {
+        const seedInput = document.getElementById('seed-input');
+        if (!seedInput) return;
+
+        const playTypedSeed = () => {
+            if (seedInput.value.trim() === (this.seed || '')) return;
+            if (this.playSeed(seedInput.value)) {
+                seedInput.blur(); //so the arrow keys go back to the board
+            } else {
+                seedInput.classList.add('invalid');
+                seedInput.title = 'Seeds look like 4x4-k3f9ma (rows x columns, then any letters)';
+            }
+        };
+        document.getElementById('play-seed-btn')?.addEventListener('click', playTypedSeed);
+        seedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') playTypedSeed();
+        });
+        seedInput.addEventListener('input', () => {
+            seedInput.classList.remove('invalid');
+            seedInput.title = '';
+        });
+        seedInput.addEventListener('focus', () => seedInput.select());
+    }
+
+    updateSeedDisplay() {
+        const seedInput = document.getElementById('seed-input');
+        if (!seedInput) return;
+        seedInput.value = this.seed || '';
+        seedInput.placeholder = this.seed ? '' : 'imported scramble';
+        seedInput.classList.remove('invalid');
+    }
+
+    //everyone gets the same 4x4 scramble for the date
+    playDaily() {
+        const date = this.daily.today();
+        this.playSeed(this.daily.seedFor(date), date);
+    }
+
+    setupDailyModal() {
+        const modal = document.getElementById('daily-modal');
+        if (!modal) return;
+
+        const closeModal = () => modal.classList.add('hidden');
+        document.getElementById('close-daily-modal')?.addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+        document.getElementById('daily-play-btn')?.addEventListener('click', () => {
+            closeModal();
+            if (this.dailyDate !== this.daily.today() || !this.gameInProgress) {
+                this.playDaily();
             }
+        });
+        document.getElementById('daily-share-btn')?.addEventListener('click', (e) => {
+            this.copyDailyResult(e.currentTarget);
+        });
+    }
+
+    //today's result and streaks, with the button to play it
+    openDailyModal() {
+        const modal = document.getElementById('daily-modal');
+        if (!modal) return;
+
+        const date = this.daily.today();
+        const result = this.daily.getResult(date);
+        const streak = this.daily.getStreak();
+        const bestStreak = this.daily.getBestStreak();
+        document.getElementById('daily-date').textContent = date;
+        document.getElementById('daily-result').textContent = result
+            ? `${result.moves} moves / ${this.formatTime(result.time)}`
+            : 'Not solved yet';
+        document.getElementById('daily-streak').textContent = `${streak} day${streak === 1 ? '' : 's'}`;
+        document.getElementById('daily-best-streak').textContent = `${bestStreak} day${bestStreak === 1 ? '' : 's'}`;
+
+        const shareText = document.getElementById('daily-share-text');
+        shareText.value = this.daily.getShareText(date);
+        shareText.classList.toggle('hidden', !result);
+        document.getElementById('daily-share-btn').disabled = !result;
+        document.getElementById('daily-play-btn').innerHTML = this.dailyDate === date && this.gameInProgress
+            ? '<i class="fas fa-play"></i> Keep Playing'
+            : `<i class="fas fa-play"></i> ${result ? 'Play Again' : "Play Today's Puzzle"}`;
+
+        modal.classList.remove('hidden');
+    }
+
+    //copy the spoiler-free summary - if the clipboard is blocked it's still there to copy by hand
+    async copyDailyResult(button) {
+        const text = this.daily.getShareText(this.daily.today());
+        if (!text) return;
+        try {
+            await navigator.clipboard.writeText(text);
+            this.flashButtonLabel(button, 'Copied!');
+        } catch (error) {
+            this.flashButtonLabel(button, 'Copy the text above');
+        }
+    }
+
+    //the game to export - the one being played, or the one just won
+    getShareableGame() {
+        if (this.gameInProgress && this.initialState) {
+            return {
+                rows: this.boardShape.rows,
+                cols: this.boardShape.cols,
+                scramble: this.initialState,
+                actions: this.recording
+            };
+        }
+        return this.lastReplay;
+    }
+
+    //arrow keys / WASD slide the tile next to the gap
+    setupKeyboardControls() {
+        const keyDirections = {
+            arrowup: 'up', w: 'up',
+            arrowdown: 'down', s: 'down',
+            arrowleft: 'left', a: 'left',
+            arrowright: 'right', d: 'right'
+        };
+        const opposite = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.target.matches('input, textarea, select')) return;
+
+            const direction = keyDirections[e.key.toLowerCase()];
+            if (!direction || !this.canPlay() || this.animations.isDragging) return;
+
+            e.preventDefault();
+            //in 'blank' mode the key says where the gap goes, so the tile goes the other way
+            this.puzzle.moveInDirection(this.arrowKeysMove === 'blank' ? opposite[direction] : direction);
+        });
+
+        const arrowModeSelect = document.getElementById('arrow-mode');
+        if (arrowModeSelect) {
+            arrowModeSelect.value = this.arrowKeysMove;
+            arrowModeSelect.addEventListener('change', () => {
+                this.arrowKeysMove = arrowModeSelect.value;
+                localStorage.setItem('arrowKeysMove', this.arrowKeysMove);
+                arrowModeSelect.blur(); //so the arrow keys go back to the board
+            });
+        }
+    }
+
+    //Ctrl+Z to undo, Ctrl+Y (or Ctrl+Shift+Z) to redo
+    setupHistoryShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoMove();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redoMove();
+            }
+        });
+    }
+
+    //take back the last move (only while the game is still going)
+    undoMove() {
+        if (this.canPlay()) {
+            this.puzzle.undo();
         }
+    }
+
+    redoMove() {
+        if (this.canPlay()) {
+            this.puzzle.redo();
+        }
+    }
+
+    //grey out undo/redo when there's nothing to undo/redo
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+        if (undoButton) undoButton.disabled = !this.gameInProgress || !this.puzzle.canUndo();
+        if (redoButton) redoButton.disabled = !this.gameInProgress || !this.puzzle.canRedo();
+    }
+
+    //moves, undo, hints and so on only work while a game is on and nothing covers the board
+    canPlay() {
+        return this.gameInProgress && !this.paused && !this.scrambleRequest;
+    }
+
+    usesDifficulty() {
+        return this.difficulty !== 'any' && canPickDifficulty(this.boardShape.rows, this.boardShape.cols);
+    }
+
+    //start a new game - at the picked difficulty if this board has them. Finding one means
+    //solving scrambles until one fits, so the board is covered while that happens
+    async newPuzzle() {
+        this.scrambleRequest?.abort();
+        if (!this.usesDifficulty()) {
+            this.shufflePuzzle();
+            return;
+        }
+
+        const { rows, cols } = this.boardShape;
+        const label = DIFFICULTIES[this.difficulty].label.toLowerCase();
+        const request = new AbortController();
+        this.scrambleRequest = request;
+        this.timer.pause();
+        this.inspectionTimer.pause();
+        this.showScrambleSearch(`Finding ${label === 'easy' ? 'an' : 'a'} ${label} puzzle...`, '');
+
+        try {
+            const { seed } = await findScramble(this.solverClient, rows, cols, this.difficulty, {
+                signal: request.signal,
+                onProgress: ({ status }) => this.showScrambleSearch(null, status)
+            });
+            if (this.scrambleRequest !== request) return;
+            this.shufflePuzzle({ seed });
+        } catch (error) {
+            if (this.scrambleRequest !== request) return; //a newer game took over
+            this.scrambleRequest = null;
+            this.showScrambleSearch(false);
+
+            //back to the game that was there
+            if (this.gameInProgress && !this.paused) {
+                if (this.inspecting) {
+                    this.inspectionTimer.start();
+                } else if (this.hasUserInteracted) {
+                    this.timer.start();
+                }
+            }
+            if (error.name !== 'AbortError') {
+                console.log(error.message);
+                this.flashButtonLabel(document.getElementById('shuffle-btn'), 'None found - try again');
+            }
+        }
+    }
+
+    //message over the board while looking for a puzzle (false hides it, null keeps the heading)
+    showScrambleSearch(message, detail = '') {
+        const searching = message !== false;
+        document.getElementById('scramble-overlay')?.classList.toggle('hidden', !searching);
+        document.getElementById('puzzle-board')?.classList.toggle('paused', searching || this.paused);
+        const pauseButton = document.getElementById('pause-btn');
+        if (pauseButton) pauseButton.disabled = searching;
+        if (!searching) return;
+
+        if (message) document.getElementById('scramble-status').textContent = message;
+        document.getElementById('scramble-detail').textContent = detail;
+    }
+
+    //difficulty picker under the board - used from the next new puzzle
+    setupDifficultySelect() {
+        const difficultySelect = document.getElementById('difficulty');
+        if (!difficultySelect) return;
+
+        difficultySelect.value = this.difficulty;
+        difficultySelect.addEventListener('change', () => {
+            this.difficulty = difficultySelect.value in DIFFICULTIES ? difficultySelect.value : 'any';
+            localStorage.setItem('difficulty', this.difficulty);
+            difficultySelect.blur(); //so the arrow keys go back to the board
+        });
+        document.getElementById('cancel-scramble-btn')?.addEventListener('click', () => this.scrambleRequest?.abort());
+        this.updateDifficultySelect();
+    }
+
+    //only boards the solver can check quickly get difficulties
+    updateDifficultySelect() {
+        const difficultySelect = document.getElementById('difficulty');
+        if (!difficultySelect) return;
+
+        const available = canPickDifficulty(this.boardShape.rows, this.boardShape.cols);
+        difficultySelect.disabled = !available;
+        difficultySelect.title = available ? '' : 'Difficulties are for boards up to 3x4, and 4x4';
+    }
+
+    //mix things up randomly - creates a new random puzzle (or starts from the scramble or
+    //seed given). dailyDate marks it as that day's daily challenge
+    shufflePuzzle({ scramble = null, seed = null, dailyDate = null } = {}) {
+        this.scrambleRequest?.abort();
+        this.scrambleRequest = null;
+        this.showScrambleSearch(false);
+        this.ratingRequest?.abort();
+        this.replayPlayer?.close();
+        if (scramble) {
+            this.seed = null;
+            this.puzzle.setBoardFromArray(scramble);
+        } else {
+            this.seed = seed || formatSeed(this.puzzle.rows, this.puzzle.cols, newSeedCode());
+            this.puzzle.shuffleWithSeed(this.seed);
+        }
+        this.dailyDate = dailyDate;
+        this.updateSeedDisplay();
+        
+        // Store this shuffled state for any systems that might need it
+        this.initialState = this.puzzle.getBoardArray();
         
-        this.startTime = Date.now();
         this.gameInProgress = true;
         this.hasUserInteracted = false;
+        this.paused = false;
+        this.showPaused(false);
+        this.timer.reset();
+        this.startInspection();
+        this.undosUsed = 0;
+        this.recording = [];
+        this.resetHints();
+        this.updateHistoryButtons();
         this.animations.rebuild();
+        this.saveGame();
         console.log('New random puzzle generated');
     }
 
+    //light up the next tile to move - solves in the background the first time,
+    //then keeps following that solution as long as the player does
+    async showHint() {
+        if (!this.canPlay() || this.hintRequest) return;
+
+        const board = this.puzzle.getBoardArray();
+        if (!this.hintPath.has(board.join(','))) {
+            const solvedBoard = board.map((_, i) => (i + 1) % board.length);
+            const hintButton = document.getElementById('hint-btn');
+            hintButton.disabled = true;
+            this.hintRequest = new AbortController();
+
+            try {
+                const result = await this.solverClient.solve(board, solvedBoard, null, {
+                    mode: 'fast', // Hints need to show up right away
+                    metric: 'multi', // Whole slides, same as the game counts them
+                    signal: this.hintRequest.signal
+                });
+                this.rememberHintPath(board, result.moves);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    //big boards can be too much for the quick search
+                    console.log('Could not work out a hint', error);
+                    this.flashButtonLabel(hintButton, 'No hint found');
+                }
+                return;
+            } finally {
+                this.hintRequest = null;
+                hintButton.disabled = false;
+            }
+        }
+
+        // The player may have moved while we were thinking
+        const move = this.hintPath.get(this.puzzle.getBoardArray().join(','));
+        if (!move || !this.canPlay()) return;
+
+        this.hintsUsed++;
+        this.animations.showHint(move.from.row, move.from.col, move.direction);
+    }
+
+    //show a short message on a button for a couple of seconds
+    flashButtonLabel(button, text) {
+        const originalHTML = button.innerHTML;
+        button.textContent = text;
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 2000);
+    }
+
+    //note the next move for every board along the solution
+    rememberHintPath(board, moves) {
+        const solver = new PuzzleSolver(this.puzzle.rows, this.puzzle.cols);
+        const states = solver.applyMoves(board, moves);
+        this.hintPath.clear();
+        moves.forEach((move, i) => {
+            this.hintPath.set(states[i].board.join(','), move);
+        });
+    }
+
+    //forget hints from the last game
+    resetHints() {
+        if (this.hintRequest) {
+            this.hintRequest.abort();
+        }
+        this.hintPath.clear();
+        this.hintsUsed = 0;
+        this.animations?.clearHint();
+    }
+
     //update move count
     updateMoveCounter(count) {
         const moveCountElement = document.getElementById('move-count');
@@ -125,14 +841,18 @@ class PuzzleGame {
 
     //show the win stats modal
     async celebrateWin() {
-        if (!this.gameInProgress || !this.startTime) return;
+        if (!this.gameInProgress) return;
         
         const state = this.puzzle.getState();
         const moves = state.moveCount;
-        const endTime = Date.now();
-        const timeElapsed = Math.floor((endTime - this.startTime) / 1000);
+        this.timer.pause();
+        this.inspecting = false;
+        this.updateTimerDisplay();
+        const timeElapsed = Math.floor(this.timer.getElapsed() / 1000);
         
         this.gameInProgress = false;
+        this.savedGame.clear();
+        this.updateHistoryButtons();
         
         // Show the modal
         const modal = document.getElementById('win-modal');
@@ -141,19 +861,136 @@ class PuzzleGame {
         // Fill in basic stats
         document.getElementById('player-moves').textContent = moves;
         document.getElementById('time-taken').textContent = this.formatTime(timeElapsed);
+        document.getElementById('hints-used').textContent = this.hintsUsed;
+        document.getElementById('undos-used').textContent = this.undosUsed;
+        
+        // Keep score for this board shape
+        const sizeLabel = `${this.boardShape.rows}x${this.boardShape.cols}`;
+        this.lastReplay = {
+            rows: this.boardShape.rows,
+            cols: this.boardShape.cols,
+            scramble: this.initialState,
+            actions: this.recording
+        };
+        const record = this.stats.recordWin(sizeLabel, {
+            moves,
+            time: timeElapsed,
+            scramble: this.initialState,
+            hints: this.hintsUsed,
+            undos: this.undosUsed,
+            replay: this.recording
+        });
+        document.getElementById('best-label').textContent = `Best ${sizeLabel}:`;
+        document.getElementById('best-result').textContent =
+            `${record.bestMoves} moves / ${this.formatTime(record.bestTime)}`;
+        
+        const personalBest = record.solved > 1 && (record.newBestMoves || record.newBestTime)
+            ? ` New ${sizeLabel} personal best!`
+            : '';
         
-        // Simple win message based on move count
-        const message = this.getSimpleWinMessage(moves);
-        document.getElementById('win-message').textContent = message;
+        // The rating waits for the shortest solution, which can take a few seconds
+        document.getElementById('optimal-label').textContent = 'Shortest:';
+        document.getElementById('optimal-result').textContent = 'Working it out...';
+        document.getElementById('win-stars').innerHTML = '';
+        document.getElementById('win-message').textContent = personalBest.trim();
+        this.showDailyWin(moves, timeElapsed);
         
         this.setupWinModal();
+        this.rateWin(moves, personalBest);
+    }
+
+    //daily challenge bit of the win screen - the first solve of the day counts towards the streak
+    showDailyWin(moves, time) {
+        const section = document.getElementById('daily-win');
+        if (!section) return;
+        section.classList.toggle('hidden', !this.dailyDate);
+        if (!this.dailyDate) return;
+
+        const counted = this.daily.recordResult(this.dailyDate, {
+            moves,
+            time,
+            hints: this.hintsUsed,
+            undos: this.undosUsed
+        });
+        const streak = this.daily.getStreak();
+        document.getElementById('daily-win-text').textContent = counted
+            ? `Daily challenge done! 🔥 ${streak}-day streak`
+            : `You already solved the ${this.dailyDate} challenge - only your first solve counts.`;
+        document.getElementById('daily-win-share-btn').classList.toggle('hidden', this.dailyDate !== this.daily.today());
+    }
+
+    //grade the win by how close the player got to the shortest solution for this scramble
+    async rateWin(moves, personalBest) {
+        const scramble = this.initialState;
+        const shortest = await this.findShortestSolution(scramble);
+        if (this.initialState !== scramble) return; //a new game started while we were searching
+
+        const label = document.getElementById('optimal-label');
+        const result = document.getElementById('optimal-result');
+        if (!shortest || shortest.length === 0) {
+            //too big or too hard to work out in time - fall back to plain move counts
+            result.textContent = '-';
+            document.getElementById('win-message').textContent = this.getSimpleWinMessage(moves) + personalBest;
+            return;
+        }
+
+        //if the player beat the best we could find, their solution is the best known one
+        const bestLength = Math.min(shortest.length, moves);
+        const ratio = moves / bestLength;
+        label.textContent = shortest.optimal ? 'Optimal:' : 'Best Known:';
+        result.textContent = `${bestLength} moves (you: ${ratio.toFixed(2)}x)`;
+
+        const rating = this.getEfficiencyRating(ratio);
+        document.getElementById('win-stars').innerHTML = [1, 2, 3]
+            .map(star => `<i class="${star <= rating.stars ? 'fas' : 'far'} fa-star"></i>`)
+            .join('');
+        document.getElementById('win-message').textContent = rating.message + personalBest;
+    }
+
+    //shortest solution in whole slides (how the game counts moves), or null if nothing
+    //turned up in time. optimal says whether it's proven to be the shortest
+    async findShortestSolution(board) {
+        const solvedBoard = board.map((_, i) => (i + 1) % board.length);
+
+        for (const { options, timeLimit } of RATING_SEARCHES) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeLimit);
+            this.ratingRequest = controller;
+
+            try {
+                const result = await this.solverClient.solve(board, solvedBoard, null, {
+                    ...options,
+                    signal: controller.signal
+                });
+                return { length: result.moves.length, optimal: result.optimal };
+            } catch (error) {
+                if (this.initialState !== board) return null;
+                if (error.name !== 'AbortError') console.log('Could not work out the shortest solution', error);
+            } finally {
+                clearTimeout(timer);
+                if (this.ratingRequest === controller) this.ratingRequest = null;
+            }
+        }
+        return null;
+    }
+
+    //your moves / shortest moves -> stars and a message (1.00 means you matched it)
+    getEfficiencyRating(ratio) {
+        if (ratio <= 1) return { stars: 3, message: "Perfect! You found the shortest solution! 🏆" };
+        if (ratio <= 1.25) return { stars: 3, message: "Outstanding! Excellent efficiency! 🌟" };
+        if (ratio <= 1.6) return { stars: 2, message: "Great work! Very well done! 👏" };
+        if (ratio <= 2.5) return { stars: 1, message: "Nice job! Keep practicing to cut down the moves! 👍" };
+        return { stars: 0, message: "Puzzle solved! Great perseverance! 💪" };
     }
     
+    //fallback when the shortest solution can't be worked out
     getSimpleWinMessage(moves) {
-        if (moves <= 20) return "Outstanding! Excellent efficiency! 🏆";
-        if (moves <= 40) return "Great work! Very well done! 🌟";
-        if (moves <= 60) return "Nice job! Good puzzle solving! 👏";
-        if (moves <= 100) return "Well done! Keep practicing! 👍";
+        // The thresholds are for a 4x4 board - scale them by how many tiles there are
+        const scale = (this.boardShape.rows * this.boardShape.cols) / 16;
+        if (moves <= 20 * scale) return "Outstanding! Excellent efficiency! 🏆";
+        if (moves <= 40 * scale) return "Great work! Very well done! 🌟";
+        if (moves <= 60 * scale) return "Nice job! Good puzzle solving! 👏";
+        if (moves <= 100 * scale) return "Well done! Keep practicing! 👍";
         return "Puzzle solved! Great perseverance! 💪";
     }
     
@@ -167,6 +1004,7 @@ class PuzzleGame {
         const modal = document.getElementById('win-modal');
         const closeBtn = document.getElementById('close-win-modal');
         const playAgainBtn = document.getElementById('play-again-btn');
+        const replayBtn = document.getElementById('replay-btn');
         
         const closeModal = () => {
             modal.style.display = 'none';
@@ -177,9 +1015,16 @@ class PuzzleGame {
             if (e.target === modal) closeModal();
         };
         
+        replayBtn.onclick = () => {
+            closeModal();
+            this.replayPlayer.open(this.lastReplay);
+        };
+
+        document.getElementById('daily-win-share-btn').onclick = (e) => this.copyDailyResult(e.currentTarget);
+        
         playAgainBtn.onclick = () => {
             closeModal();
-            this.shufflePuzzle();
+            this.newPuzzle();
         };
     }
 
@@ -0,0 +1,138 @@
+// Benchmark page - how fast do the searches run with the old queue vs the binary heap?
+import { PuzzleSolver } from './solver.js';
+import { PriorityQueue, LinearPriorityQueue } from './priority-queue.js';
+
+const GOAL = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 0];
+
+// Fixed boards so runs can be compared with each other
+const BENCHMARK_BOARDS = [
+    { name: '20 random moves', board: [5, 1, 2, 4, 6, 0, 3, 7, 13, 10, 15, 8, 14, 9, 12, 11] },
+    { name: '30 random moves', board: [2, 6, 0, 4, 1, 10, 3, 11, 5, 13, 9, 7, 14, 15, 12, 8] },
+    { name: '40 random moves', board: [1, 2, 12, 4, 13, 5, 3, 8, 14, 6, 0, 7, 9, 11, 10, 15] },
+    { name: '60 random moves', board: [2, 7, 4, 5, 1, 12, 3, 8, 13, 6, 0, 11, 10, 14, 9, 15] },
+    { name: '80 random moves', board: [13, 14, 1, 7, 9, 2, 3, 6, 15, 10, 0, 5, 12, 11, 8, 4] },
+    { name: '120 random moves', board: [10, 6, 1, 11, 7, 9, 15, 5, 13, 2, 8, 4, 12, 0, 3, 14] }
+];
+
+const QUEUES = [
+    { name: 'Sorted array (before)', create: () => new LinearPriorityQueue() },
+    { name: 'Binary heap (after)', create: () => new PriorityQueue() }
+];
+
+const SEARCHES = [
+    { name: 'A*', run: (solver, start, goal) => solver.aStarAsync(start, goal, GOAL) },
+    { name: 'Guided BFS', run: (solver, start, goal) => solver.guidedBFS(start, goal) }
+];
+
+// Run one search with one kind of queue, counting every board taken off the queue
+async function runCase(search, queueType, board) {
+    const solver = new PuzzleSolver(4);
+    let nodes = 0;
+
+    solver.createQueue = () => {
+        const queue = queueType.create();
+        const dequeue = queue.dequeue.bind(queue);
+        queue.dequeue = () => {
+            nodes++;
+            return dequeue();
+        };
+        return queue;
+    };
+
+    const start = solver.boardToCompactState(board);
+    const goal = solver.boardToCompactState(GOAL);
+    const startTime = performance.now();
+
+    let moves = null;
+    try {
+        moves = await search.run(solver, start, goal);
+    } catch (error) {
+        moves = null; // A* gives up by throwing once it runs out of iterations
+    }
+
+    const elapsed = performance.now() - startTime;
+    return {
+        nodes,
+        elapsed,
+        nodesPerSecond: elapsed > 0 ? nodes / (elapsed / 1000) : 0,
+        length: moves ? moves.length : null
+    };
+}
+
+class BenchmarkPage {
+    constructor() {
+        this.runButton = document.getElementById('run-benchmark-btn');
+        this.resultsBody = document.getElementById('benchmark-results');
+        this.summaryElement = document.getElementById('benchmark-summary');
+        this.statusElement = document.getElementById('benchmark-status');
+        this.isRunning = false;
+
+        this.runButton.addEventListener('click', () => this.run());
+    }
+
+    async run() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.runButton.disabled = true;
+        this.resultsBody.innerHTML = '';
+        this.summaryElement.innerHTML = '';
+
+        const results = [];
+
+        for (const { name, board } of BENCHMARK_BOARDS) {
+            for (const search of SEARCHES) {
+                for (const queueType of QUEUES) {
+                    this.statusElement.textContent = `Running ${search.name} with ${queueType.name} on ${name}...`;
+
+                    // Let the page repaint between cases
+                    await new Promise(resolve => setTimeout(resolve, 0));
+
+                    const result = await runCase(search, queueType, board);
+                    results.push({ board: name, search: search.name, queue: queueType.name, ...result });
+                    this.addRow(results[results.length - 1]);
+                }
+            }
+        }
+
+        this.showSummary(results);
+        this.statusElement.textContent = 'Done!';
+        this.runButton.disabled = false;
+        this.isRunning = false;
+    }
+
+    addRow(result) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${result.board}</td>
+            <td>${result.search}</td>
+            <td>${result.queue}</td>
+            <td>${result.nodes.toLocaleString()}</td>
+            <td>${result.elapsed.toFixed(0)} ms</td>
+            <td>${Math.round(result.nodesPerSecond).toLocaleString()}</td>
+            <td>${result.length === null ? 'gave up' : `${result.length} moves`}</td>
+        `;
+        this.resultsBody.appendChild(row);
+    }
+
+    // Average nodes per second for each search and queue, plus the speed-up
+    showSummary(results) {
+        const lines = SEARCHES.map(search => {
+            const averages = QUEUES.map(queueType => {
+                const matching = results.filter(r => r.search === search.name && r.queue === queueType.name);
+                const nodes = matching.reduce((sum, r) => sum + r.nodes, 0);
+                const seconds = matching.reduce((sum, r) => sum + r.elapsed, 0) / 1000;
+                return seconds > 0 ? nodes / seconds : 0;
+            });
+
+            const [before, after] = averages;
+            const speedUp = before > 0 ? (after / before).toFixed(1) : '-';
+            return `<p><strong>${search.name}:</strong> ${Math.round(before).toLocaleString()} → ${Math.round(after).toLocaleString()} nodes/sec (${speedUp}x)</p>`;
+        });
+
+        this.summaryElement.innerHTML = lines.join('');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new BenchmarkPage();
+});
@@ -0,0 +1,42 @@
+// Sizing for every puzzle board (the game board and the solver page boards)
+
+// Work out how big the tiles should be - every board shape gets the space a regular
+// 4x4 board would use (or less on a small screen), so bigger boards get smaller tiles.
+// The longest side decides the tile size, so a 2x8 board is as wide as a 4x4 one.
+export function fitBoard(boardElement, rows, cols) {
+    const rootStyle = getComputedStyle(document.documentElement);
+    const baseTileSize = parseInt(rootStyle.getPropertyValue('--tile-size'));
+    const gap = parseInt(rootStyle.getPropertyValue('--gap'));
+    const boardPadding = parseInt(rootStyle.getPropertyValue('--board-padding')) || 0;
+    const longestSide = Math.max(rows, cols);
+
+    const regularBoard = 4 * baseTileSize + 3 * gap + 2 * boardPadding;
+    const available = Math.min(regularBoard, window.innerWidth * 0.9, window.innerHeight * 0.9);
+    const tileSize = Math.floor((available - 2 * boardPadding - (longestSide - 1) * gap) / longestSide);
+
+    boardElement.style.setProperty('--board-rows', rows);
+    boardElement.style.setProperty('--board-cols', cols);
+    boardElement.style.setProperty('--tile-size', `${tileSize}px`);
+    boardElement.style.setProperty('--tile-font-size', `${Math.round(tileSize * 0.4)}px`);
+
+    return { rows, cols, tileSize, gap, boardPadding };
+}
+
+// Where a tile at row/col sits inside the board (centred in case the board is bigger)
+export function tilePosition(boardElement, layout, row, col) {
+    const { rows, cols, tileSize, gap, boardPadding } = layout;
+
+    // The content area starts after the CSS padding
+    const contentWidth = boardElement.clientWidth - (2 * boardPadding);
+    const contentHeight = boardElement.clientHeight - (2 * boardPadding);
+    const expectedWidth = cols * tileSize + (cols - 1) * gap;
+    const expectedHeight = rows * tileSize + (rows - 1) * gap;
+
+    const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
+    const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
+
+    return {
+        x: boardPadding + horizontalOffset + col * (tileSize + gap),
+        y: boardPadding + verticalOffset + row * (tileSize + gap)
+    };
+}
@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+// Command-line access to the solver and the scrambler, for scripts and batch runs
+//
+//   node cli.js solve 5,1,2,3,...,0        solve a board (or one board per line on stdin)
+//   node cli.js check < boards.txt         are the boards valid and solvable?
+//   node cli.js scramble --count 10        random solvable boards
+//   node cli.js benchmark                  time the solver on the benchmark boards
+//
+// Boards are the README's comma-separated format. Exit codes: 0 all fine, 1 bad arguments,
+// 2 a board couldn't be read, 3 a board can't be solved, 4 the solver gave up (time limit
+// or error). With several boards the highest code wins, so one bad board shows up.
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir, rename } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { PuzzleSolver, SOLVE_MODES, MOVE_METRICS, validateBoardInput } from './solver.js';
+import { Puzzle } from './puzzle.js';
+import { newSeedCode, formatSeed } from './random.js';
+import { DIFFICULTIES, canPickDifficulty, findScramble } from './scramble-generator.js';
+import { BENCHMARK_INSTANCES, parseInstances, runSuite, summarize, formatReport } from './benchmark-suite.js';
+import { setTableStore } from './pattern-database.js';
+
+const EXIT = { ok: 0, usage: 1, invalid: 2, unsolvable: 3, failed: 4 };
+const MIN_SIDE = 2;
+const MAX_SIDE = 8;
+const DIRECTION_LETTERS = { up: 'U', down: 'D', left: 'L', right: 'R' };
+const DEFAULT_CACHE_DIR = join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'slide15');
+
+const USAGE = `Usage: node cli.js <command> [options] [board]
+
+Commands:
+  solve      Solve each board and print the moves
+  check      Say whether each board is valid and solvable
+  scramble   Print random solvable boards
+  benchmark  Solve the 4x4 benchmark boards and print a report of nodes, time and length
+
+Boards come from the argument, or one per line on stdin (blank lines and lines
+starting with # are skipped), as comma-separated numbers with 0 for the gap.
+
+Options:
+  --size RxC           Board shape, 2 to 8 each way (default 4x4)
+  --format text|json   Output format - json prints one object per line (default text)
+  --target <board>     solve: board to solve to (default solved)
+  --mode <mode>        solve: ${SOLVE_MODES.join(', ')} (default balanced,
+                       or optimal for benchmark)
+  --metric <metric>    solve: ${MOVE_METRICS.join(', ')} - multi counts a whole slide as one move
+                       (default single)
+  --time-limit <ms>    solve: give up on a board after this long
+  --count <n>          scramble: how many boards (default 1)
+  --seed <text>        scramble: same seed, same boards
+  --difficulty <name>  scramble: ${Object.keys(DIFFICULTIES).join(', ')} - checked with the solver
+  --instances <file>   benchmark: boards to run instead of the bundled ones - one per line,
+                       optionally with an id before and the optimal length after
+  --goal blank-first   benchmark: the file's boards solve to 0 1 2 ... 15 (Korf's layout)
+  --compare <file>     benchmark: show changes since an earlier --format json report
+  --pdb-cache <dir>    Where to keep the 4x4 pattern databases between runs
+                       (default ${DEFAULT_CACHE_DIR})
+  --no-pdb-cache       Build them every run instead
+  --verbose            Print the solver's progress to stderr
+  --help               Show this message
+
+Exit codes: 0 fine, 1 bad arguments, 2 unreadable board, 3 unsolvable board,
+4 the solver gave up. With several boards the highest code is used. benchmark
+exits with 4 if a board wasn't solved or a length disagrees with the known one.`;
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT.usage;
+    return error;
+}
+
+// "4x4", or just "4" for a square board
+function parseSize(text) {
+    const match = text.match(/^(\d+)(?:x(\d+))?$/);
+    const rows = match ? Number(match[1]) : NaN;
+    const cols = match ? Number(match[2] || match[1]) : NaN;
+    const sideOk = (side) => side >= MIN_SIDE && side <= MAX_SIDE;
+    if (!sideOk(rows) || !sideOk(cols)) {
+        throw usageError(`--size should be rows x columns, each ${MIN_SIDE} to ${MAX_SIDE} (like 4x4 or 3x5), not "${text}".`);
+    }
+    return { rows, cols };
+}
+
+function parsePositiveInteger(text, name) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 1) {
+        throw usageError(`${name} should be a whole number above 0, not "${text}".`);
+    }
+    return value;
+}
+
+function solvedBoard(rows, cols) {
+    return Array.from({ length: rows * cols }, (_, i) => (i + 1) % (rows * cols));
+}
+
+// Boards from the argument, or else every line of stdin
+async function readBoards(positionals) {
+    if (positionals.length > 0) return positionals;
+    if (process.stdin.isTTY) {
+        throw usageError('Give a board, or pipe boards in one per line.');
+    }
+
+    let input = '';
+    for await (const chunk of process.stdin) {
+        input += chunk;
+    }
+    return input.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// Tables go in one file, each as its length (4 bytes, little endian) then its bytes
+function packTables(tables) {
+    return Buffer.concat(tables.flatMap(table => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(table.length);
+        return [length, Buffer.from(table.buffer, table.byteOffset, table.length)];
+    }));
+}
+
+function unpackTables(data) {
+    const tables = [];
+    let offset = 0;
+    while (offset < data.length) {
+        const length = data.readUInt32LE(offset);
+        offset += 4;
+        if (offset + length > data.length) throw new Error('The pattern database file is cut short.');
+        tables.push(new Uint8Array(data.subarray(offset, offset + length)));
+        offset += length;
+    }
+    return tables;
+}
+
+// Node has no IndexedDB, so the pattern databases are kept in a file in dir instead - without
+// one every 4x4 run would start with half a minute of building them. dir null: don't keep them
+function fileTableStore(dir) {
+    return {
+        async read(key) {
+            if (dir) {
+                try {
+                    return unpackTables(await readFile(join(dir, `${key}.bin`)));
+                } catch (error) {
+                    // Not there yet (or damaged) - build them again
+                }
+            }
+            // A miss means a build comes next - say so, or the pause looks like a hang
+            console.error(`Building the 4x4 pattern databases, about half a minute${dir ? ` (saved in ${dir} for next time)` : ''}...`);
+            return null;
+        },
+        async write(key, tables) {
+            if (!dir) return;
+            const file = join(dir, `${key}.bin`);
+            try {
+                await mkdir(dir, { recursive: true });
+                await writeFile(`${file}.tmp`, packTables(tables));
+                await rename(`${file}.tmp`, file); // So a run stopped halfway can't leave half a file
+            } catch (error) {
+                console.error(`Couldn't save the pattern databases: ${error.message}`);
+            }
+        }
+    };
+}
+
+function print(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+// Small printer so text and json output go through the same place
+function createOutput(format, verbose) {
+    return {
+        result(text, data) {
+            print(format === 'json' ? JSON.stringify(data) : text);
+        },
+        problem(text, data) {
+            if (format === 'json') {
+                print(JSON.stringify(data));
+            } else {
+                console.error(text);
+            }
+        },
+        progress(status) {
+            if (verbose && status) console.error(status);
+        }
+    };
+}
+
+// Read and check one board - { board } or { error, exitCode }. With a target it has to be
+// able to reach that, otherwise the solved board
+function readBoard(input, solver, rows, cols, target = null) {
+    let board;
+    try {
+        board = validateBoardInput(input, rows, cols);
+    } catch (error) {
+        return { error: error.message, exitCode: EXIT.invalid };
+    }
+    if (target ? !solver.canReach(board, target) : !solver.isSolvable(board)) {
+        const fix = solver.findParityFix(board, target || solvedBoard(rows, cols));
+        const error = `This board can never be solved${target ? ' to the target' : ''} - swapping tiles ${fix.tiles[0]} and ${fix.tiles[1]} would fix that.`;
+        return { board, error, exitCode: EXIT.unsolvable };
+    }
+    return { board };
+}
+
+async function solveCommand(boards, options, output) {
+    const { rows, cols } = options.size;
+    const solver = new PuzzleSolver(rows, cols); // One solver, so pattern databases get built once
+    let target = solvedBoard(rows, cols);
+    if (options.target !== undefined) {
+        try {
+            target = validateBoardInput(options.target, rows, cols);
+        } catch (error) {
+            throw usageError(`--target: ${error.message}`);
+        }
+    }
+
+    // Set up the pattern databases before any timer starts - the first build takes a while
+    // and shouldn't eat into the first board's --time-limit
+    const needsDatabase = options.mode !== 'fast' && !(options.metric === 'multi' && options.mode === 'optimal');
+    if (needsDatabase && solver.canUsePatternDatabase(target)) {
+        await solver.loadPatternDatabase((progress) => output.progress(progress.status));
+    }
+
+    let exitCode = EXIT.ok;
+    for (const input of boards) {
+        const { board, error, exitCode: problem } = readBoard(input, solver, rows, cols, options.target === undefined ? null : target);
+        if (error) {
+            output.problem(`${input}: ${error}`, { board: input, error });
+            exitCode = Math.max(exitCode, problem);
+            continue;
+        }
+
+        const controller = new AbortController();
+        const timer = options.timeLimit ? setTimeout(() => controller.abort(), options.timeLimit) : null;
+        try {
+            const result = await solver.solve(board, target, (progress) => output.progress(progress.status), {
+                mode: options.mode,
+                metric: options.metric,
+                signal: controller.signal
+            });
+            const steps = solver.getSolutionSteps(result.moves);
+            const moveText = steps.map(step => `${step.tiles.join(',')}${DIRECTION_LETTERS[step.direction]}`).join(' ');
+            output.result(
+                `${board.join(',')}: ${steps.length} move${steps.length === 1 ? '' : 's'}${result.optimal ? ' (optimal)' : ''}\n${moveText}`,
+                {
+                    board,
+                    target,
+                    moves: steps.length,
+                    optimal: result.optimal,
+                    algorithm: result.algorithm,
+                    solution: steps.map(({ tiles, direction, from, to }) => ({ tiles, direction, from, to }))
+                }
+            );
+        } catch (error) {
+            const message = error.name === 'AbortError'
+                ? `No solution within ${options.timeLimit} ms.`
+                : error.message;
+            output.problem(`${board.join(',')}: ${message}`, { board, error: message });
+            exitCode = Math.max(exitCode, EXIT.failed);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    return exitCode;
+}
+
+async function checkCommand(boards, options, output) {
+    const { rows, cols } = options.size;
+    const solver = new PuzzleSolver(rows, cols);
+
+    let exitCode = EXIT.ok;
+    for (const input of boards) {
+        const { board, error, exitCode: problem } = readBoard(input, solver, rows, cols);
+        if (error) {
+            exitCode = Math.max(exitCode, problem);
+        }
+        output.result(
+            `${input}: ${error ? error : 'valid and solvable'}`,
+            { board: board || input, valid: problem !== EXIT.invalid, solvable: !error, ...(error ? { error } : {}) }
+        );
+    }
+    return exitCode;
+}
+
+async function scrambleCommand(options, output) {
+    const { rows, cols } = options.size;
+    if (options.difficulty) {
+        if (!(options.difficulty in DIFFICULTIES)) {
+            throw usageError(`--difficulty should be one of ${Object.keys(DIFFICULTIES).join(', ')}.`);
+        }
+        if (!canPickDifficulty(rows, cols)) {
+            throw usageError('Difficulties are only for boards up to 3x4, and 4x4.');
+        }
+        if (options.seed !== undefined) {
+            throw usageError('--seed and --difficulty can\'t be used together - difficulty scrambles get their own seeds.');
+        }
+    }
+
+    const solver = new PuzzleSolver(rows, cols);
+    const solverClient = { solve: (...args) => solver.solve(...args) }; // What findScramble expects from the worker
+    const puzzle = new Puzzle(rows, cols);
+
+    for (let i = 0; i < options.count; i++) {
+        let scramble;
+        if (options.difficulty) {
+            try {
+                scramble = await findScramble(solverClient, rows, cols, options.difficulty, {
+                    onProgress: ({ status }) => output.progress(status)
+                });
+            } catch (error) {
+                output.problem(error.message, { error: error.message });
+                return EXIT.failed;
+            }
+        } else {
+            // With --seed the first board uses exactly that seed, the next ones add -2, -3...
+            const code = options.seed === undefined ? newSeedCode()
+                : i === 0 ? options.seed : `${options.seed}-${i + 1}`;
+            const seed = formatSeed(rows, cols, code);
+            puzzle.shuffleWithSeed(seed);
+            scramble = { seed, board: puzzle.getBoardArray() };
+        }
+
+        const { seed, board, distance } = scramble;
+        output.result(board.join(','), { rows, cols, seed, board, ...(distance !== undefined ? { distance } : {}) });
+    }
+    return EXIT.ok;
+}
+
+async function readTextFile(path, name) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        throw usageError(`${name}: couldn't read ${path}.`);
+    }
+}
+
+async function benchmarkCommand(options, output) {
+    let instances = BENCHMARK_INSTANCES;
+    if (options.instances !== undefined) {
+        const text = await readTextFile(options.instances, '--instances');
+        try {
+            instances = parseInstances(text, options.goal);
+        } catch (error) {
+            error.exitCode = EXIT.invalid;
+            throw error;
+        }
+    }
+
+    let previous = null;
+    if (options.compare !== undefined) {
+        try {
+            previous = JSON.parse(await readTextFile(options.compare, '--compare'));
+        } catch (error) {
+            if (error.exitCode) throw error;
+            throw usageError(`--compare: ${options.compare} isn't a benchmark report saved with --format json.`);
+        }
+    }
+
+    const results = await runSuite(instances, {
+        mode: options.mode,
+        timeLimit: options.timeLimit,
+        onProgress: (progress) => output.progress(progress.status),
+        onResult: (result) => output.progress(`#${result.id}: ${result.length ?? result.error} in ${result.ms} ms`)
+    });
+    const totals = summarize(results);
+
+    // json is one object for the whole run, so it can be saved and passed to --compare later
+    output.result(formatReport(results, previous), {
+        date: new Date().toISOString(),
+        mode: options.mode,
+        totals,
+        results
+    });
+    return totals.solved < totals.instances || totals.wrong > 0 ? EXIT.failed : EXIT.ok;
+}
+
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                size: { type: 'string', default: '4x4' },
+                format: { type: 'string', default: 'text' },
+                target: { type: 'string' },
+                mode: { type: 'string' },
+                metric: { type: 'string', default: 'single' },
+                'time-limit': { type: 'string' },
+                count: { type: 'string', default: '1' },
+                seed: { type: 'string' },
+                difficulty: { type: 'string' },
+                instances: { type: 'string' },
+                goal: { type: 'string', default: 'blank-last' },
+                compare: { type: 'string' },
+                'pdb-cache': { type: 'string' },
+                'no-pdb-cache': { type: 'boolean', default: false },
+                verbose: { type: 'boolean', default: false },
+                help: { type: 'boolean', default: false }
+            }
+        });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    // The solver logs what it's up to - keep that off stdout so it only has results
+    console.log = values.verbose ? console.error : () => {};
+
+    const [command, ...boardArgs] = positionals;
+    if (values.help || !command) {
+        print(USAGE);
+        return values.help ? EXIT.ok : EXIT.usage;
+    }
+
+    if (!['text', 'json'].includes(values.format)) {
+        throw usageError(`--format should be text or json, not "${values.format}".`);
+    }
+    // The benchmark is about proving lengths, so it solves for the shortest by default
+    const mode = values.mode ?? (command === 'benchmark' ? 'optimal' : 'balanced');
+    if (!SOLVE_MODES.includes(mode)) {
+        throw usageError(`--mode should be one of ${SOLVE_MODES.join(', ')}.`);
+    }
+    if (!MOVE_METRICS.includes(values.metric)) {
+        throw usageError(`--metric should be one of ${MOVE_METRICS.join(', ')}.`);
+    }
+    if (!['blank-last', 'blank-first'].includes(values.goal)) {
+        throw usageError(`--goal should be blank-last or blank-first, not "${values.goal}".`);
+    }
+
+    const options = {
+        size: parseSize(values.size),
+        target: values.target,
+        mode,
+        metric: values.metric,
+        timeLimit: values['time-limit'] === undefined ? null : parsePositiveInteger(values['time-limit'], '--time-limit'),
+        count: parsePositiveInteger(values.count, '--count'),
+        seed: values.seed,
+        difficulty: values.difficulty,
+        instances: values.instances,
+        goal: values.goal,
+        compare: values.compare
+    };
+    const output = createOutput(values.format, values.verbose);
+    setTableStore(fileTableStore(values['no-pdb-cache'] ? null : values['pdb-cache'] ?? DEFAULT_CACHE_DIR));
+
+    switch (command) {
+        case 'solve':
+            return solveCommand(await readBoards(boardArgs), options, output);
+        case 'check':
+            return checkCommand(await readBoards(boardArgs), options, output);
+        case 'scramble':
+            if (boardArgs.length > 0) throw usageError('scramble doesn\'t take a board.');
+            return scrambleCommand(options, output);
+        case 'benchmark':
+            if (boardArgs.length > 0) throw usageError('benchmark doesn\'t take a board - use --instances for a file of them.');
+            return benchmarkCommand(options, output);
+        default:
+            throw usageError(`Unknown command "${command}" - use solve, check, scramble or benchmark.`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        console.error(error.message);
+        if (error.exitCode === EXIT.usage) console.error('Run node cli.js --help for usage.');
+        process.exitCode = error.exitCode || EXIT.failed;
+    });
@@ -0,0 +1,101 @@
+// Daily challenge - everyone gets the same 4x4 scramble for the date, and solving
+// it on consecutive days builds a streak
+import { formatSeed } from './random.js';
+
+const STORAGE_KEY = 'dailyResults';
+const DAILY_ROWS = 4;
+const DAILY_COLS = 4;
+
+// Local date as YYYY-MM-DD, so the day changes at the player's own midnight
+function dateKey(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function previousDay(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return dateKey(new Date(year, month - 1, day - 1));
+}
+
+function formatTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export class DailyChallenge {
+    constructor() {
+        this.results = this.load(); // date -> { moves, time, hints, undos } for the first solve that day
+    }
+
+    load() {
+        try {
+            const results = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return results && typeof results === 'object' ? results : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.results));
+    }
+
+    today() {
+        return dateKey(new Date());
+    }
+
+    seedFor(date) {
+        return formatSeed(DAILY_ROWS, DAILY_COLS, `daily-${date}`);
+    }
+
+    getResult(date) {
+        return this.results[date] || null;
+    }
+
+    // Only the first solve of the day counts - returns false if it was already solved
+    recordResult(date, { moves, time, hints, undos }) {
+        if (this.results[date]) return false;
+        this.results[date] = { moves, time, hints, undos };
+        this.save();
+        return true;
+    }
+
+    // Days in a row up to today - a streak isn't broken until today is over
+    getStreak() {
+        let day = this.today();
+        if (!this.results[day]) day = previousDay(day);
+
+        let streak = 0;
+        while (this.results[day]) {
+            streak++;
+            day = previousDay(day);
+        }
+        return streak;
+    }
+
+    getBestStreak() {
+        let best = 0;
+        let streak = 0;
+        let lastDay = null;
+        Object.keys(this.results).sort().forEach(day => {
+            streak = lastDay && previousDay(day) === lastDay ? streak + 1 : 1;
+            best = Math.max(best, streak);
+            lastDay = day;
+        });
+        return best;
+    }
+
+    // Something to paste for friends - how it went, but nothing about how to solve it
+    getShareText(date) {
+        const result = this.results[date];
+        if (!result) return '';
+
+        const streak = this.getStreak();
+        return [
+            `Slide15 Daily ${date}`,
+            `🧩 ${result.moves} moves ⏱️ ${formatTime(result.time)}`,
+            result.hints > 0 ? `💡 ${result.hints} hint${result.hints === 1 ? '' : 's'}` : '💡 No hints',
+            `🔥 ${streak}-day streak`
+        ].join('\n');
+    }
+}
@@ -0,0 +1,208 @@
+// Saving and loading games as files - a versioned JSON format and a one-line text format
+//
+// JSON (version 1):
+//   { "format": "slide15-game", "version": 1, "rows": 4, "cols": 4,
+//     "scramble": [5, 1, 2, ...],             board in row-major order, 0 is the gap
+//     "target": [2, 1, 3, ...],               optional - where the moves lead, if not the solved board
+//     "moves": [{ "row": 3, "col": 2, "t": 0 }, { "undo": true, "t": 1200 }, ...] }
+//   Each move is the tile that was clicked (the whole line between it and the gap slides),
+//   or an undo/redo. t is milliseconds since the first move and can be left out.
+//
+// Text (version 1), fields separated by spaces:
+//   slide15/1 4x4 5,1,2,...,0 32@0,22@640,U@1200,R@300
+//   Moves are row then column digits, or U / R for undo / redo. @ is milliseconds since
+//   the move before. The move list can be left out to share just a scramble. A target other
+//   than the solved board follows the scramble after a >, as in 5,1,2,...,0>2,1,3,...,0
+import { Puzzle } from './puzzle.js';
+import { PuzzleSolver } from './solver.js';
+
+export const GAME_FILE_VERSION = 1;
+const FORMAT_NAME = 'slide15-game';
+const TEXT_PREFIX = 'slide15/';
+const MIN_SIDE = 2;
+const MAX_SIDE = 8;
+
+// game is { rows, cols, scramble, target, actions } (actions as PuzzleGame records them,
+// target null or left out for the solved board)
+export function formatGameJSON(game) {
+    const firstTime = game.actions.find(action => typeof action.t === 'number')?.t || 0;
+    const moves = game.actions.map(action => {
+        const move = action.undo ? { undo: true } : action.redo ? { redo: true } : { row: action.row, col: action.col };
+        if (typeof action.t === 'number') move.t = action.t - firstTime;
+        return move;
+    });
+
+    return JSON.stringify({
+        format: FORMAT_NAME,
+        version: GAME_FILE_VERSION,
+        rows: game.rows,
+        cols: game.cols,
+        scramble: game.scramble,
+        ...(game.target ? { target: game.target } : {}),
+        moves
+    }, null, 2);
+}
+
+export function formatGameText(game) {
+    let lastTime = null;
+    const moves = game.actions.map(action => {
+        let token = action.undo ? 'U' : action.redo ? 'R' : `${action.row}${action.col}`;
+        if (typeof action.t === 'number') {
+            token += `@${lastTime === null ? 0 : action.t - lastTime}`;
+            lastTime = action.t;
+        }
+        return token;
+    });
+
+    const boards = game.scramble.join(',') + (game.target ? `>${game.target.join(',')}` : '');
+    const fields = [`${TEXT_PREFIX}${GAME_FILE_VERSION}`, `${game.rows}x${game.cols}`, boards];
+    if (moves.length > 0) fields.push(moves.join(','));
+    return fields.join(' ');
+}
+
+// Read either format back into { rows, cols, scramble, target, actions }
+// Throws an Error with a message that can be shown to the player if anything is wrong
+export function parseGame(input) {
+    const text = input.trim();
+    if (!text) {
+        throw new Error('Nothing to import - paste a game or choose a file first.');
+    }
+
+    const game = text.startsWith('{') ? parseJSON(text) : parseText(text);
+    validateGame(game);
+    return game;
+}
+
+function parseJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+
+    if (data.format !== FORMAT_NAME) {
+        throw new Error('This is not a Slide15 game file.');
+    }
+    if (data.version !== GAME_FILE_VERSION) {
+        throw new Error(`This game file is version ${data.version}, but only version ${GAME_FILE_VERSION} can be read.`);
+    }
+    if (!Array.isArray(data.scramble)) {
+        throw new Error('The game file has no scramble.');
+    }
+    if (data.target !== undefined && !Array.isArray(data.target)) {
+        throw new Error('The target in the game file is not a board.');
+    }
+
+    const moves = data.moves || [];
+    if (!Array.isArray(moves)) {
+        throw new Error('The move list in the game file is not a list.');
+    }
+
+    const actions = moves.map((move, i) => {
+        if (!move || typeof move !== 'object') {
+            throw new Error(`Move ${i + 1} in the game file can't be read.`);
+        }
+        const action = move.undo ? { undo: true } : move.redo ? { redo: true } : { row: move.row, col: move.col };
+        if (move.t !== undefined) action.t = move.t;
+        return action;
+    });
+
+    return { rows: data.rows, cols: data.cols, scramble: data.scramble, target: data.target || null, actions };
+}
+
+function parseText(text) {
+    const fields = text.split(/\s+/);
+    const version = fields[0].startsWith(TEXT_PREFIX) ? Number(fields[0].slice(TEXT_PREFIX.length)) : null;
+    if (version === null) {
+        throw new Error('This is not a Slide15 game - it should start with "slide15/".');
+    }
+    if (version !== GAME_FILE_VERSION) {
+        throw new Error(`This game is version ${fields[0].slice(TEXT_PREFIX.length)}, but only version ${GAME_FILE_VERSION} can be read.`);
+    }
+    if (fields.length < 3 || fields.length > 4) {
+        throw new Error('The game should have a board size, a scramble and (optionally) a move list.');
+    }
+
+    const shape = fields[1].match(/^(\d+)x(\d+)$/);
+    if (!shape) {
+        throw new Error(`"${fields[1]}" is not a board size like 4x4.`);
+    }
+
+    const boards = fields[2].split('>');
+    if (boards.length > 2) {
+        throw new Error('There should be a scramble and at most one target after it.');
+    }
+    const [scramble, target = null] = boards.map(board =>
+        board.split(',').map(value => (/^\d+$/.test(value) ? Number(value) : NaN)));
+
+    let time = 0;
+    const actions = (fields[3] ? fields[3].split(',') : []).map((token, i) => {
+        const match = token.match(/^(?:(\d)(\d)|(U)|(R))(?:@(\d+))?$/);
+        if (!match) {
+            throw new Error(`Move ${i + 1} ("${token}") can't be read.`);
+        }
+        const action = match[3] ? { undo: true } : match[4] ? { redo: true } : { row: Number(match[1]), col: Number(match[2]) };
+        if (match[5] !== undefined) {
+            time += Number(match[5]);
+            action.t = time;
+        }
+        return action;
+    });
+
+    return { rows: Number(shape[1]), cols: Number(shape[2]), scramble, target, actions };
+}
+
+// Play the whole game through on a real puzzle - any move that couldn't have been made
+// means the file was edited or damaged
+function validateGame(game) {
+    const { rows, cols, scramble, target, actions } = game;
+    const sideOk = (side) => Number.isInteger(side) && side >= MIN_SIDE && side <= MAX_SIDE;
+    if (!sideOk(rows) || !sideOk(cols)) {
+        throw new Error(`Boards can be ${MIN_SIDE} to ${MAX_SIDE} rows and columns, not ${rows}x${cols}.`);
+    }
+
+    const puzzle = new Puzzle(rows, cols);
+    try {
+        puzzle.setBoardFromArray(scramble);
+    } catch (error) {
+        throw new Error(`The scramble isn't a valid ${rows}x${cols} board: ${error.message}`);
+    }
+    const solver = new PuzzleSolver(rows, cols);
+    if (target) {
+        try {
+            new Puzzle(rows, cols).setBoardFromArray(target);
+        } catch (error) {
+            throw new Error(`The target isn't a valid ${rows}x${cols} board: ${error.message}`);
+        }
+        if (!solver.canReach(scramble, target)) {
+            throw new Error('The target can never be reached from the scramble, so one of them must have been edited.');
+        }
+    } else if (!solver.isSolvable(scramble)) {
+        throw new Error('The scramble can never be solved, so it must have been edited.');
+    }
+
+    let lastTime = 0;
+    actions.forEach((action, i) => {
+        if (action.t !== undefined) {
+            if (typeof action.t !== 'number' || !Number.isFinite(action.t) || action.t < lastTime) {
+                throw new Error(`Move ${i + 1} has a bad time - times have to count up from 0.`);
+            }
+            lastTime = action.t;
+        }
+
+        let ok;
+        if (action.undo) {
+            ok = puzzle.undo();
+        } else if (action.redo) {
+            ok = puzzle.redo();
+        } else {
+            ok = Number.isInteger(action.row) && Number.isInteger(action.col) &&
+                puzzle.isValidPosition(action.row, action.col) && puzzle.moveTile(action.row, action.col);
+        }
+        if (!ok) {
+            const what = action.undo ? 'an undo' : action.redo ? 'a redo' : `row ${action.row + 1}, column ${action.col + 1}`;
+            throw new Error(`Move ${i + 1} (${what}) isn't possible from that position - the game has been changed or damaged.`);
+        }
+    });
+}
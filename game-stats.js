@@ -0,0 +1,110 @@
+// Remembers how the player has done - kept separately for every board shape
+const STORAGE_KEY = 'gameStats';
+const HISTORY_KEY = 'gameHistory'; // Every finished game, oldest first
+const MAX_REPLAYS = 100; // Older games lose their replay so storage doesn't fill up
+
+// Average of the last n values the way speedcubers do it (ao5, ao12): drop the best
+// and the worst, then average the rest. null until there are n values
+export function averageOfLast(values, n) {
+    if (values.length < n) return null;
+    const sorted = values.slice(-n).sort((a, b) => a - b).slice(1, -1);
+    return sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+}
+
+export class GameStats {
+    constructor() {
+        this.stats = this.load();
+        this.history = this.loadHistory();
+    }
+
+    // Read everything saved so far
+    load() {
+        try {
+            const stats = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+            // Older saves used the side length for square boards ("4" rather than "4x4")
+            for (const key of Object.keys(stats)) {
+                if (!key.includes('x')) {
+                    stats[`${key}x${key}`] = stats[key];
+                    delete stats[key];
+                }
+            }
+            return stats;
+        } catch (error) {
+            console.log('Could not read saved stats, starting fresh');
+            return {};
+        }
+    }
+
+    loadHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.log('Could not read saved game history, starting fresh');
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.stats));
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(this.history));
+    }
+
+    // Stats for one board shape, like '4x4' or '3x5' (rows x columns)
+    forShape(shape) {
+        return this.stats[shape] || { solved: 0, bestMoves: null, bestTime: null };
+    }
+
+    // Board shapes that have at least one finished game
+    getShapes() {
+        return [...new Set([...Object.keys(this.stats), ...this.history.map(game => game.shape)])];
+    }
+
+    // Finished games for one board shape, oldest first
+    getGames(shape) {
+        return this.history.filter(game => game.shape === shape);
+    }
+
+    // The recorded game, ready for ReplayPlayer - null if it wasn't kept
+    getReplay(game) {
+        if (!game.replay || !game.scramble) return null;
+        const [rows, cols] = game.shape.split('x').map(n => parseInt(n));
+        return { rows, cols, scramble: game.scramble, actions: game.replay };
+    }
+
+    trimReplays() {
+        let kept = 0;
+        for (let i = this.history.length - 1; i >= 0; i--) {
+            if (this.history[i].replay && ++kept > MAX_REPLAYS) {
+                this.history[i].replay = null;
+            }
+        }
+    }
+
+    // Forget every game and every best
+    clear() {
+        this.stats = {};
+        this.history = [];
+        this.save();
+    }
+
+    // Count a win, add it to the history and keep any new bests - time is in seconds,
+    // scramble is the board the game started from and replay the recorded moves
+    // Returns the updated stats plus which bests were just beaten
+    recordWin(shape, { moves, time, scramble = null, hints = 0, undos = 0, replay = null }) {
+        const entry = { ...this.forShape(shape) };
+        const newBestMoves = entry.bestMoves === null || moves < entry.bestMoves;
+        const newBestTime = entry.bestTime === null || time < entry.bestTime;
+
+        entry.solved++;
+        if (newBestMoves) entry.bestMoves = moves;
+        if (newBestTime) entry.bestTime = time;
+
+        this.stats[shape] = entry;
+        this.history.push({ date: new Date().toISOString(), shape, scramble, moves, time, hints, undos, replay });
+        this.trimReplays();
+        this.save();
+
+        return { ...entry, newBestMoves, newBestTime };
+    }
+}
@@ -0,0 +1,35 @@
+// Stopwatch for the game clock - only counts while it's running, so pauses and
+// closed tabs don't add to the time
+export class GameTimer {
+    constructor() {
+        this.elapsed = 0; // Milliseconds from earlier runs
+        this.startedAt = null; // When the current run started, or null while stopped
+    }
+
+    start() {
+        if (this.startedAt === null) {
+            this.startedAt = Date.now();
+        }
+    }
+
+    pause() {
+        if (this.startedAt !== null) {
+            this.elapsed += Date.now() - this.startedAt;
+            this.startedAt = null;
+        }
+    }
+
+    // Stop and set the clock back (or on, when picking up a saved game)
+    reset(elapsed = 0) {
+        this.elapsed = elapsed;
+        this.startedAt = null;
+    }
+
+    isRunning() {
+        return this.startedAt !== null;
+    }
+
+    getElapsed() {
+        return this.startedAt === null ? this.elapsed : this.elapsed + Date.now() - this.startedAt;
+    }
+}
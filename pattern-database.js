@@ -0,0 +1,367 @@
+// Additive pattern databases for the 4x4 puzzle
+// Each group of tiles gets a table holding the fewest moves *of those tiles* needed to
+// bring them home. Groups don't share tiles, so their values can be added together
+// and the total still never overestimates - which keeps IDA* optimal.
+
+const SIZE = 4;
+const CELLS = SIZE * SIZE;
+
+// Tiles are labelled by their goal cell. Goal cells of each group (6-6-3 split):
+export const DEFAULT_GROUPS = [
+    [0, 4, 5, 8, 9, 12],    // Tiles 1, 5, 6, 9, 10, 13
+    [6, 7, 10, 11, 13, 14], // Tiles 7, 8, 11, 12, 14, 15
+    [1, 2, 3]               // Tiles 2, 3, 4
+];
+
+// How often (ms) a build pauses so a cancel request can get through, and how many states
+// it expands between looking at the clock
+const YIELD_INTERVAL = 100;
+const CHUNK_SIZE = 4096;
+
+const STORAGE_VERSION = 1;
+const DB_NAME = 'slide15';
+const STORE_NAME = 'pattern-databases';
+
+// Bit masks used to grow the blank's region one step at a time
+const ALL_CELLS = (1 << CELLS) - 1;
+const NOT_FIRST_COLUMN = 0xEEEE;
+const NOT_LAST_COLUMN = 0x7777;
+
+const NEIGHBOR_MASKS = [];
+for (let cell = 0; cell < CELLS; cell++) {
+    const row = Math.floor(cell / SIZE);
+    const col = cell % SIZE;
+    let mask = 0;
+    if (row > 0) mask |= 1 << (cell - SIZE);
+    if (row < SIZE - 1) mask |= 1 << (cell + SIZE);
+    if (col > 0) mask |= 1 << (cell - 1);
+    if (col < SIZE - 1) mask |= 1 << (cell + 1);
+    NEIGHBOR_MASKS.push(mask);
+}
+
+// Every cell the blank can reach from seed without moving a pattern tile
+function floodRegion(seed, free) {
+    let region = seed;
+    while (true) {
+        const grown = (region
+            | (region << SIZE)
+            | (region >>> SIZE)
+            | ((region << 1) & NOT_FIRST_COLUMN)
+            | ((region >>> 1) & NOT_LAST_COLUMN)) & free;
+        if (grown === region) return region;
+        region = grown;
+    }
+}
+
+// Give the event loop a turn if it's been waiting a while, then stop if the build was cancelled
+async function checkpoint(signal, state) {
+    if (Date.now() - state.lastYield >= YIELD_INTERVAL) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        state.lastYield = Date.now();
+    }
+    if (signal.aborted) {
+        throw new DOMException('The pattern database build was cancelled.', 'AbortError');
+    }
+}
+
+// Index of the lowest set bit
+function lowestCell(mask) {
+    return 31 - Math.clz32(mask & -mask);
+}
+
+export class PatternDatabase {
+    constructor(groups, tables) {
+        this.groups = groups;
+        this.tables = tables;
+
+        // Which group (and which slot in it) each tile label belongs to
+        this.groupOf = new Int8Array(CELLS).fill(-1);
+        this.slotOf = new Int8Array(CELLS).fill(-1);
+        groups.forEach((cells, groupIndex) => {
+            cells.forEach((cell, slot) => {
+                this.groupOf[cell] = groupIndex;
+                this.slotOf[cell] = slot;
+            });
+        });
+    }
+
+    // Number of entries for a group of k tiles: 16 * 15 * ... * (16 - k + 1)
+    static tableSize(k) {
+        let size = 1;
+        for (let i = 0; i < k; i++) {
+            size *= CELLS - i;
+        }
+        return size;
+    }
+
+    // Turn the cells a group's tiles sit on into a table index
+    static rank(positions) {
+        let rank = 0;
+        for (let i = 0; i < positions.length; i++) {
+            let smaller = 0;
+            for (let j = 0; j < i; j++) {
+                if (positions[j] < positions[i]) smaller++;
+            }
+            rank = rank * (CELLS - i) + (positions[i] - smaller);
+        }
+        return rank;
+    }
+
+    // Reverse of rank(), fills positions in place
+    static unrank(rank, positions) {
+        const k = positions.length;
+        for (let i = k - 1; i >= 0; i--) {
+            const base = CELLS - i;
+            positions[i] = rank % base;
+            rank = Math.floor(rank / base);
+        }
+
+        // Each digit says "the n-th cell not taken yet"
+        let used = 0;
+        for (let i = 0; i < k; i++) {
+            let remaining = positions[i];
+            for (let cell = 0; cell < CELLS; cell++) {
+                if (used & (1 << cell)) continue;
+                if (remaining === 0) {
+                    positions[i] = cell;
+                    used |= 1 << cell;
+                    break;
+                }
+                remaining--;
+            }
+        }
+        return positions;
+    }
+
+    // Breadth-first search backwards from the goal for one group of tiles.
+    // Moving the blank through empty cells is free, so a state is the tiles' cells
+    // plus the region the blank is in (named by its lowest cell).
+    // With a signal the build pauses now and then, and rejects with an AbortError once it fires.
+    static async buildTable(cells, progressCallback, signal = null) {
+        const k = cells.length;
+        const size = PatternDatabase.tableSize(k);
+        const table = new Uint8Array(size).fill(255);
+        const seen = new Uint32Array(Math.ceil(size * CELLS / 32));
+        const positions = Int8Array.from(cells);
+
+        // The same free cells come up over and over, so remember each flood fill
+        const regions = new Uint16Array((ALL_CELLS + 1) * CELLS);
+        const regionFrom = (cell, free) => {
+            const index = free * CELLS + cell;
+            if (regions[index] === 0) {
+                regions[index] = floodRegion(1 << cell, free);
+            }
+            return regions[index];
+        };
+
+        const markSeen = (code) => {
+            const word = code >>> 5;
+            const bit = 1 << (code & 31);
+            if (seen[word] & bit) return false;
+            seen[word] |= bit;
+            return true;
+        };
+
+        // Start from the goal with the blank in each free region
+        let frontier = [];
+        let occupied = 0;
+        cells.forEach(cell => { occupied |= 1 << cell; });
+        let unassigned = ALL_CELLS & ~occupied;
+        const goalRank = PatternDatabase.rank(positions);
+        while (unassigned) {
+            const region = floodRegion(unassigned & -unassigned, ALL_CELLS & ~occupied);
+            const code = goalRank * CELLS + lowestCell(region);
+            if (markSeen(code)) frontier.push(code);
+            unassigned &= ~region;
+        }
+
+        let depth = 0;
+        let filled = 0;
+
+        // Expand frontier[from..to) into next - kept out of the async loop below, which
+        // would slow this part down
+        const expand = (frontier, from, to, next) => {
+            for (let index = from; index < to; index++) {
+                const code = frontier[index];
+                const rank = Math.floor(code / CELLS);
+                const blankCell = code % CELLS;
+
+                if (table[rank] === 255) {
+                    table[rank] = depth;
+                    filled++;
+                }
+
+                PatternDatabase.unrank(rank, positions);
+                let occupied = 0;
+                for (let i = 0; i < k; i++) {
+                    occupied |= 1 << positions[i];
+                }
+                const free = ALL_CELLS & ~occupied;
+                const region = regionFrom(blankCell, free);
+
+                // Slide any group tile next to the blank's region into it
+                for (let i = 0; i < k; i++) {
+                    const from = positions[i];
+                    let targets = NEIGHBOR_MASKS[from] & region;
+
+                    while (targets) {
+                        const to = lowestCell(targets);
+                        targets &= targets - 1;
+
+                        const newFree = (free | (1 << from)) & ~(1 << to);
+                        const newRegion = regionFrom(from, newFree);
+
+                        positions[i] = to;
+                        const newCode = PatternDatabase.rank(positions) * CELLS + lowestCell(newRegion);
+                        positions[i] = from;
+
+                        if (markSeen(newCode)) next.push(newCode);
+                    }
+                }
+            }
+        };
+
+        const clock = { lastYield: Date.now() };
+        while (frontier.length > 0) {
+            const next = [];
+            const chunk = signal ? CHUNK_SIZE : frontier.length;
+            for (let from = 0; from < frontier.length; from += chunk) {
+                if (signal) await checkpoint(signal, clock);
+                expand(frontier, from, Math.min(from + chunk, frontier.length), next);
+            }
+
+            depth++;
+            frontier = next;
+
+            if (progressCallback) {
+                progressCallback({ depth, filled, total: size });
+            }
+        }
+
+        return table;
+    }
+
+    // Build every group's table from scratch (slow - a few seconds per big group)
+    static async build(groups = DEFAULT_GROUPS, progressCallback, signal = null) {
+        const tables = [];
+        for (const [index, cells] of groups.entries()) {
+            tables.push(await PatternDatabase.buildTable(cells, progress => {
+                if (progressCallback) {
+                    progressCallback({ group: index, groups: groups.length, ...progress });
+                }
+            }, signal));
+        }
+        return new PatternDatabase(groups, tables);
+    }
+
+    // Lookup helper for the search - positions[label] is the cell that tile currently sits on
+    estimate(positions) {
+        let total = 0;
+        for (let g = 0; g < this.groups.length; g++) {
+            total += this.groupEstimate(g, positions);
+        }
+        return total;
+    }
+
+    // Value for a single group, so a move only has to refresh the group that changed
+    groupEstimate(groupIndex, positions) {
+        const cells = this.groups[groupIndex];
+        let rank = 0;
+        for (let i = 0; i < cells.length; i++) {
+            const position = positions[cells[i]];
+            let smaller = 0;
+            for (let j = 0; j < i; j++) {
+                if (positions[cells[j]] < position) smaller++;
+            }
+            rank = rank * (CELLS - i) + (position - smaller);
+        }
+        return this.tables[groupIndex][rank];
+    }
+}
+
+// Storage key changes whenever the groups or the table layout change
+function storageKey(groups) {
+    return `pdb-v${STORAGE_VERSION}-${groups.map(cells => cells.join('.')).join('-')}`;
+}
+
+// Open (and create if needed) the IndexedDB store, or null where there isn't one
+function openStore() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function readTables(key) {
+    const db = await openStore();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => resolve(null);
+    });
+}
+
+async function writeTables(key, tables) {
+    const db = await openStore();
+    if (!db) return;
+
+    return new Promise((resolve) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(tables, key);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => resolve(); // Not being able to save just means building again next time
+    });
+}
+
+// Where built tables are kept between visits - IndexedDB, unless setTableStore() swaps in
+// another { read(key), write(key, tables) } (the command line keeps them in a file)
+let tableStore = { read: readTables, write: writeTables };
+
+export function setTableStore(store) {
+    tableStore = store;
+}
+
+let sharedDatabase = null;
+
+// Get the pattern databases, loading them from the table store or building them the first time.
+// A build started here stops when its caller's signal fires; anyone else waiting on it
+// then starts over with a build of their own.
+export async function loadPatternDatabase(progressCallback, { groups = DEFAULT_GROUPS, signal = null } = {}) {
+    while (true) {
+        if (!sharedDatabase) {
+            const loading = (async () => {
+                const key = storageKey(groups);
+                const stored = await tableStore.read(key);
+                const fits = stored && stored.length === groups.length &&
+                    stored.every((table, i) => table.length === PatternDatabase.tableSize(groups[i].length));
+                if (fits) {
+                    return new PatternDatabase(groups, stored);
+                }
+
+                const database = await PatternDatabase.build(groups, progressCallback, signal);
+                await tableStore.write(key, database.tables);
+                return database;
+            })();
+
+            // A failed or cancelled build isn't kept - the next caller tries again
+            sharedDatabase = loading;
+            loading.catch(() => {
+                if (sharedDatabase === loading) sharedDatabase = null;
+            });
+        }
+
+        try {
+            return await sharedDatabase;
+        } catch (error) {
+            if (error.name !== 'AbortError' || signal?.aborted) throw error;
+        }
+    }
+}
@@ -0,0 +1,129 @@
+// Priority queues for the search methods
+// Lower priority comes out first. Ties go to the lower tie-breaker (the heuristic),
+// since the board that looks closer to the goal is usually the better bet.
+
+// Binary heap - O(log n) to add or remove
+export class PriorityQueue {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+        this.tieBreakers = [];
+    }
+
+    enqueue(item, priority, tieBreaker = 0) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        this.tieBreakers.push(tieBreaker);
+        this.siftUp(this.items.length - 1);
+    }
+
+    dequeue() {
+        if (this.items.length === 0) return undefined;
+
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        const lastTieBreaker = this.tieBreakers.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            this.tieBreakers[0] = lastTieBreaker;
+            this.siftDown(0);
+        }
+
+        return top;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    // Should the entry at a come out before the entry at b?
+    comesBefore(a, b) {
+        if (this.priorities[a] !== this.priorities[b]) {
+            return this.priorities[a] < this.priorities[b];
+        }
+        return this.tieBreakers[a] < this.tieBreakers[b];
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+        [this.tieBreakers[a], this.tieBreakers[b]] = [this.tieBreakers[b], this.tieBreakers[a]];
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.comesBefore(index, parent)) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.items.length;
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let best = index;
+
+            if (left < length && this.comesBefore(left, best)) best = left;
+            if (right < length && this.comesBefore(right, best)) best = right;
+            if (best === index) break;
+
+            this.swap(index, best);
+            index = best;
+        }
+    }
+}
+
+// The original sorted-array queue (linear insert, shift to remove).
+// Only kept so the benchmark page can compare against it.
+export class LinearPriorityQueue {
+    constructor() {
+        this.elements = [];
+    }
+
+    enqueue(item, priority) {
+        const queueElement = { item, priority };
+        let added = false;
+
+        for (let i = 0; i < this.elements.length; i++) {
+            if (queueElement.priority < this.elements[i].priority) {
+                this.elements.splice(i, 0, queueElement);
+                added = true;
+                break;
+            }
+        }
+
+        if (!added) {
+            this.elements.push(queueElement);
+        }
+    }
+
+    dequeue() {
+        return this.elements.shift()?.item;
+    }
+
+    peek() {
+        return this.elements[0]?.item;
+    }
+
+    size() {
+        return this.elements.length;
+    }
+
+    isEmpty() {
+        return this.elements.length === 0;
+    }
+}
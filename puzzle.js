@@ -1,30 +1,49 @@
 // Simple sliding puzzle - keeps track of tiles and handles moves
+import { seededRandom } from './random.js';
+import { PuzzleSolver } from './solver.js';
+
+const MAX_SCRAMBLE_MOVES = 1000; // Seeds are typed in by hand - don't let one run forever
+
 export class Puzzle {
-    constructor(size = 4) {
-        this.size = size;
+    // rows x cols board - pass just one number for a square board
+    constructor(rows = 4, cols = rows) {
+        this.rows = rows;
+        this.cols = cols;
         this.board = [];
         this.emptyPos = { row: 3, col: 3 }; // Bottom right corner
         this.moveCount = 0;
+        this.history = []; // Every move so far, so it can be taken back
+        this.redoStack = []; // Moves that were undone, newest last
         this.listeners = {
             move: [],
+            undo: [],
+            redo: [],
             stateChange: []
         };
         this.setupSolvedBoard();
     }
 
+    // Switch to a different board size (starts again from the solved board)
+    setSize(rows, cols = rows) {
+        this.rows = rows;
+        this.cols = cols;
+        this.reset();
+    }
+
     // Set up a solved board (numbers 1-15 in order)
     setupSolvedBoard() {
         this.board = [];
-        for (let row = 0; row < this.size; row++) {
+        for (let row = 0; row < this.rows; row++) {
             this.board[row] = [];
-            for (let col = 0; col < this.size; col++) {
-                const number = row * this.size + col + 1;
+            for (let col = 0; col < this.cols; col++) {
+                const number = row * this.cols + col + 1;
                 // The last spot is empty (value 0)
-                this.board[row][col] = number === this.size * this.size ? 0 : number;
+                this.board[row][col] = number === this.rows * this.cols ? 0 : number;
             }
         }
-        this.emptyPos = { row: this.size - 1, col: this.size - 1 };
+        this.emptyPos = { row: this.rows - 1, col: this.cols - 1 };
         this.moveCount = 0;
+        this.clearHistory();
     }
 
     // Get what's at a position
@@ -47,7 +66,7 @@ export class Puzzle {
 
     // Check if position is on the board
     isValidPosition(row, col) {
-        return row >= 0 && row < this.size && col >= 0 && col < this.size;
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
     }
 
     // See if a tile can slide into the empty spot
@@ -90,13 +109,113 @@ export class Puzzle {
 
     // Move a tile or group of tiles
     moveTile(row, col) {
-        if (!this.canMoveTile(row, col)) {
+        const emptyPos = { ...this.emptyPos };
+        const movableTiles = this.slideTiles(row, col);
+        if (!movableTiles) {
+            return false;
+        }
+
+        this.history.push({ row, col, emptyPos });
+        this.redoStack = [];
+
+        this.moveCount++;
+        this.notifyListeners('move', {
+            tiles: movableTiles,
+            newEmptyPos: this.emptyPos,
+            moveCount: this.moveCount
+        });
+        this.notifyListeners('stateChange', this.getState());
+
+        return true;
+    }
+
+    // Slide the tile next to the gap in a direction ('up' moves the tile below the gap up)
+    moveInDirection(direction) {
+        const offsets = {
+            up: { row: 1, col: 0 },
+            down: { row: -1, col: 0 },
+            left: { row: 0, col: 1 },
+            right: { row: 0, col: -1 }
+        };
+        const offset = offsets[direction];
+        if (!offset) {
+            return false;
+        }
+
+        const row = this.emptyPos.row + offset.row;
+        const col = this.emptyPos.col + offset.col;
+        if (!this.isValidPosition(row, col)) {
             return false;
         }
+        return this.moveTile(row, col);
+    }
+
+    // Take back the last move - the tiles slide back into where the gap was
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        const move = this.history.pop();
+        const movableTiles = this.slideTiles(move.emptyPos.row, move.emptyPos.col);
+        this.redoStack.push(move);
+
+        this.moveCount--;
+        this.notifyListeners('undo', {
+            tiles: movableTiles,
+            newEmptyPos: this.emptyPos,
+            moveCount: this.moveCount
+        });
+        this.notifyListeners('stateChange', this.getState());
+
+        return true;
+    }
+
+    // Put back the last move that was undone
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        const move = this.redoStack.pop();
+        const movableTiles = this.slideTiles(move.row, move.col);
+        this.history.push(move);
+
+        this.moveCount++;
+        this.notifyListeners('redo', {
+            tiles: movableTiles,
+            newEmptyPos: this.emptyPos,
+            moveCount: this.moveCount
+        });
+        this.notifyListeners('stateChange', this.getState());
+
+        return true;
+    }
+
+    canUndo() {
+        return this.history.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Forget all the moves (new puzzle, reset, etc.)
+    clearHistory() {
+        this.history = [];
+        this.redoStack = [];
+    }
+
+    // Slide the tiles between row/col and the gap one step towards it
+    // Returns the tiles that moved, or null if nothing could move
+    slideTiles(row, col) {
+        if (!this.canMoveTile(row, col)) {
+            return null;
+        }
 
         const movableTiles = this.getMovableTiles(row, col);
         if (movableTiles.length === 0) {
-            return false;
+            return null;
         }
 
         const emptyRow = this.emptyPos.row;
@@ -120,15 +239,7 @@ export class Puzzle {
             this.emptyPos = { row, col };
         }
 
-        this.moveCount++;
-        this.notifyListeners('move', {
-            tiles: movableTiles,
-            newEmptyPos: this.emptyPos,
-            moveCount: this.moveCount
-        });
-        this.notifyListeners('stateChange', this.getState());
-
-        return true;
+        return movableTiles;
     }
 
     // Which way are the tiles moving?
@@ -144,8 +255,37 @@ export class Puzzle {
         return null;
     }
 
-    // Mix up the tiles randomly
-    shuffle(moves = 100) {
+    // Mix up the tiles - every solvable arrangement is equally likely (a random order of
+    // all the tiles, with two of them swapped back if it came out unsolvable)
+    // random can be a seeded generator to get the same scramble every time
+    shuffle(random = Math.random) {
+        const solver = new PuzzleSolver(this.rows, this.cols);
+        const cells = this.rows * this.cols;
+        let board;
+        do {
+            board = Array.from({ length: cells }, (_, i) => i);
+            for (let i = cells - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [board[i], board[j]] = [board[j], board[i]];
+            }
+
+            // Swapping any two tiles flips the parity, so this always makes it solvable
+            if (!solver.isSolvable(board)) {
+                const [first, second] = board.filter(value => value !== 0);
+                const a = board.indexOf(first);
+                const b = board.indexOf(second);
+                [board[a], board[b]] = [board[b], board[a]];
+            }
+        } while (board.every((value, i) => value === (i + 1) % cells)); // Solved doesn't count
+
+        this.setBoardFromArray(board);
+    }
+
+    // Scramble with random slides from the solved board instead - usually ends up much
+    // closer to solved than a shuffle (easier puzzles come from this, see scramble-generator.js)
+    scrambleByMoves(moves, random = Math.random) {
+        this.setupSolvedBoard();
+
         const directions = [
             { row: -1, col: 0 }, // up
             { row: 1, col: 0 },  // down
@@ -171,7 +311,7 @@ export class Puzzle {
             }
 
             if (validMoves.length > 0) {
-                const move = validMoves[Math.floor(Math.random() * validMoves.length)];
+                const move = validMoves[Math.floor(random() * validMoves.length)];
                 lastMove = `${this.emptyPos.row},${this.emptyPos.col}`;
                 
                 // Swap without triggering events during shuffle
@@ -183,17 +323,30 @@ export class Puzzle {
         }
 
         this.moveCount = 0;
+        this.clearHistory();
         this.notifyListeners('stateChange', this.getState());
     }
 
+    // Same seed, same shape -> same scramble (see random.js). Seeds ending in "-w" and a
+    // number, like "4x4-k3f9ma-w40", are that many random slides from solved instead
+    shuffleWithSeed(seed) {
+        const random = seededRandom(seed);
+        const walk = seed.match(/-w(\d+)$/);
+        if (walk) {
+            this.scrambleByMoves(Math.min(Number(walk[1]), MAX_SCRAMBLE_MOVES), random);
+        } else {
+            this.shuffle(random);
+        }
+    }
+
     // Check if puzzle is solved
     isSolved() {
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const expectedValue = i * this.size + j + 1;
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const expectedValue = i * this.cols + j + 1;
                 const actualValue = this.board[i][j];
                 
-                if (i === this.size - 1 && j === this.size - 1) {
+                if (i === this.rows - 1 && j === this.cols - 1) {
                     if (actualValue !== 0) return false;
                 } else {
                     if (actualValue !== expectedValue) return false;
@@ -215,8 +368,8 @@ export class Puzzle {
 
     // Set board state from array
     setBoardFromArray(arr) {
-        if (arr.length !== this.size * this.size) {
-            throw new Error(`Invalid board size. Expected ${this.size * this.size} values.`);
+        if (arr.length !== this.rows * this.cols) {
+            throw new Error(`Invalid board size. Expected ${this.rows * this.cols} values.`);
         }
 
         // Check for valid values
@@ -224,16 +377,16 @@ export class Puzzle {
         if (values.size !== arr.length) {
             throw new Error('Duplicate values in board.');
         }
-        for (let i = 0; i < this.size * this.size; i++) {
+        for (let i = 0; i < this.rows * this.cols; i++) {
             if (!values.has(i)) {
                 throw new Error(`Missing value: ${i}`);
             }
         }
 
         // Set board
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const value = arr[i * this.size + j];
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const value = arr[i * this.cols + j];
                 this.board[i][j] = value;
                 if (value === 0) {
                     this.emptyPos = { row: i, col: j };
@@ -242,20 +395,55 @@ export class Puzzle {
         }
 
         this.moveCount = 0;
+        this.clearHistory();
         this.notifyListeners('stateChange', this.getState());
     }
 
     // Get board as flat array
     getBoardArray() {
         const arr = [];
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
                 arr.push(this.board[i][j]);
             }
         }
         return arr;
     }
 
+    // Put a saved game back - the board it started from plus the moves made since
+    // (and any undone moves that can still be redone). Returns false and leaves the
+    // board alone if the moves don't fit the starting board
+    restoreGame(initialBoard, history, redoStack = []) {
+        const restored = new Puzzle(this.rows, this.cols);
+        try {
+            restored.setBoardFromArray(initialBoard);
+        } catch (error) {
+            return false;
+        }
+
+        const replay = (move) => move.emptyPos.row === restored.emptyPos.row &&
+            move.emptyPos.col === restored.emptyPos.col &&
+            restored.slideTiles(move.row, move.col) !== null;
+        if (!history.every(replay)) {
+            return false;
+        }
+
+        // Check the redo moves still work too, without keeping them applied
+        const board = restored.board.map(row => [...row]);
+        const emptyPos = { ...restored.emptyPos };
+        if (![...redoStack].reverse().every(replay)) {
+            return false;
+        }
+
+        this.board = board;
+        this.emptyPos = emptyPos;
+        this.history = history.map(move => ({ ...move, emptyPos: { ...move.emptyPos } }));
+        this.redoStack = redoStack.map(move => ({ ...move, emptyPos: { ...move.emptyPos } }));
+        this.moveCount = history.length;
+        this.notifyListeners('stateChange', this.getState());
+        return true;
+    }
+
     // Put everything back to the solved state
     reset() {
         this.setupSolvedBoard();
@@ -283,10 +471,12 @@ export class Puzzle {
 
     // Clone current state
     clone() {
-        const newPuzzle = new Puzzle(this.size);
+        const newPuzzle = new Puzzle(this.rows, this.cols);
         newPuzzle.board = this.board.map(row => [...row]);
         newPuzzle.emptyPos = { ...this.emptyPos };
         newPuzzle.moveCount = this.moveCount;
+        newPuzzle.history = this.history.map(move => ({ ...move, emptyPos: { ...move.emptyPos } }));
+        newPuzzle.redoStack = this.redoStack.map(move => ({ ...move, emptyPos: { ...move.emptyPos } }));
         return newPuzzle;
     }
 }
@@ -0,0 +1,47 @@
+// Seeded random numbers, so any scramble can be shared and played again
+//
+// A seed looks like "4x4-k3f9ma": the board shape, then any text (a daily
+// challenge uses "4x4-daily-2026-10-19"). Same seed -> same scramble everywhere.
+const SEED_LETTERS = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/l/i to mix up when typed in
+const SEED_LENGTH = 6;
+
+// A fresh random seed code - this is the only place Math.random is still used
+export function newSeedCode() {
+    let code = '';
+    for (let i = 0; i < SEED_LENGTH; i++) {
+        code += SEED_LETTERS[Math.floor(Math.random() * SEED_LETTERS.length)];
+    }
+    return code;
+}
+
+export function formatSeed(rows, cols, code) {
+    return `${rows}x${cols}-${code}`;
+}
+
+// "5x3-abc" -> { rows: 5, cols: 3, code: 'abc' }, or null if it isn't a seed
+export function parseSeed(text) {
+    const match = text.trim().toLowerCase().match(/^(\d+)x(\d+)-(\S+)$/);
+    if (!match) return null;
+    return { rows: Number(match[1]), cols: Number(match[2]), code: match[3] };
+}
+
+// Works like Math.random, but always gives the same numbers for the same seed
+// (the seed text is hashed into 32 bits, then mulberry32 generates from it)
+export function seededRandom(seed) {
+    let hash = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    let state = (hash ^ (hash >>> 16)) >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,157 @@
+// Plays back a recorded game in the replay popup - real time or faster, with pause and scrubbing
+import { Puzzle } from './puzzle.js';
+import { fitBoard, tilePosition } from './board-layout.js';
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export class ReplayPlayer {
+    constructor() {
+        this.modal = document.getElementById('replay-modal');
+        this.boardElement = document.getElementById('replay-board');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.playButton = document.getElementById('replay-play-btn');
+        this.speedSelect = document.getElementById('replay-speed');
+
+        this.replay = null;
+        this.frames = []; // Board, move count and time after each recorded action (frame 0 is the scramble)
+        this.step = 0;
+        this.speed = 1;
+        this.timer = null;
+
+        document.getElementById('close-replay-modal')?.addEventListener('click', () => this.close());
+        this.modal?.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.playButton?.addEventListener('click', () => this.togglePlay());
+        document.getElementById('replay-restart-btn')?.addEventListener('click', () => this.seek(0));
+        this.scrubber?.addEventListener('input', () => {
+            this.pause();
+            this.seek(parseInt(this.scrubber.value));
+        });
+        this.speedSelect?.addEventListener('change', () => {
+            this.speed = parseFloat(this.speedSelect.value) || 1;
+        });
+    }
+
+    // replay is { rows, cols, scramble, actions } - actions come from PuzzleGame's recording
+    open(replay) {
+        if (!this.modal || !replay) return;
+
+        this.replay = replay;
+        this.frames = this.buildFrames(replay);
+        this.boardElement.innerHTML = '';
+        this.scrubber.max = this.frames.length - 1;
+        this.modal.classList.remove('hidden');
+
+        this.seek(0);
+        this.play();
+    }
+
+    close() {
+        this.pause();
+        this.modal?.classList.add('hidden');
+    }
+
+    // Work out every position up front so scrubbing can jump anywhere
+    buildFrames({ rows, cols, scramble, actions }) {
+        const puzzle = new Puzzle(rows, cols);
+        puzzle.setBoardFromArray(scramble);
+        const firstTime = actions.length > 0 ? actions[0].t : 0;
+
+        const frames = [{ board: puzzle.getBoardArray(), moveCount: 0, time: 0 }];
+        actions.forEach(action => {
+            if (action.undo) {
+                puzzle.undo();
+            } else if (action.redo) {
+                puzzle.redo();
+            } else {
+                puzzle.moveTile(action.row, action.col);
+            }
+            frames.push({ board: puzzle.getBoardArray(), moveCount: puzzle.moveCount, time: action.t - firstTime });
+        });
+        return frames;
+    }
+
+    togglePlay() {
+        if (this.timer) {
+            this.pause();
+        } else {
+            if (this.step >= this.frames.length - 1) this.seek(0);
+            this.play();
+        }
+    }
+
+    play() {
+        this.pause();
+        this.setPlayButton(true);
+        this.scheduleNext();
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.setPlayButton(false);
+    }
+
+    // Wait as long as the player did between moves (divided by the speed)
+    scheduleNext() {
+        if (this.step >= this.frames.length - 1) {
+            this.pause();
+            return;
+        }
+
+        const gap = this.step === 0 ? 500 : this.frames[this.step + 1].time - this.frames[this.step].time;
+        this.timer = setTimeout(() => {
+            this.seek(this.step + 1);
+            this.scheduleNext();
+        }, gap / this.speed);
+    }
+
+    seek(step) {
+        this.step = Math.max(0, Math.min(step, this.frames.length - 1));
+        const frame = this.frames[this.step];
+
+        this.render(frame.board);
+        this.scrubber.value = this.step;
+        document.getElementById('replay-moves').textContent = frame.moveCount;
+        document.getElementById('replay-time').textContent = formatTime(frame.time);
+    }
+
+    // Same tile look as the game board - tiles slide to their new spots
+    render(board) {
+        const { rows, cols } = this.replay;
+        const layout = fitBoard(this.boardElement, rows, cols);
+        const tiles = new Map();
+        this.boardElement.querySelectorAll('.tile').forEach(tile => tiles.set(parseInt(tile.dataset.value), tile));
+
+        board.forEach((value, index) => {
+            if (value === 0) return;
+
+            let tile = tiles.get(value);
+            if (!tile) {
+                tile = document.createElement('div');
+                tile.className = value % 2 === 0 ? 'tile even' : 'tile odd';
+                tile.textContent = value;
+                tile.dataset.value = value;
+                tile.style.position = 'absolute';
+                tile.style.left = '0';
+                tile.style.top = '0';
+                this.boardElement.appendChild(tile);
+            }
+
+            const { x, y } = tilePosition(this.boardElement, layout, Math.floor(index / cols), index % cols);
+            tile.style.transform = `translate(${x}px, ${y}px)`;
+        });
+    }
+
+    setPlayButton(playing) {
+        if (this.playButton) {
+            this.playButton.innerHTML = playing
+                ? '<i class="fas fa-pause"></i> Pause'
+                : '<i class="fas fa-play"></i> Play';
+        }
+    }
+}
@@ -0,0 +1,44 @@
+// Keeps the game in progress so it can be picked up again after a reload
+const STORAGE_KEY = 'savedGame';
+
+export class SavedGame {
+    // The saved game, or null if there isn't one (or it can't be read)
+    load() {
+        try {
+            const game = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!game || !Array.isArray(game.initialBoard) || !Array.isArray(game.history)) {
+                return null;
+            }
+            return game;
+        } catch (error) {
+            console.log('Could not read the saved game, starting fresh');
+            return null;
+        }
+    }
+
+    // elapsed is how long the game has been played so far, in milliseconds - time
+    // while the page was closed never gets counted. seed is null for imported scrambles,
+    // dailyDate is only set for a daily challenge
+    save({ puzzle, initialBoard, seed, dailyDate, elapsed, hintsUsed, undosUsed, recording }) {
+        const game = {
+            rows: puzzle.rows,
+            cols: puzzle.cols,
+            initialBoard,
+            seed,
+            dailyDate,
+            board: puzzle.getBoardArray(),
+            history: puzzle.history,
+            redoStack: puzzle.redoStack,
+            moveCount: puzzle.moveCount,
+            elapsed,
+            hintsUsed,
+            undosUsed,
+            recording
+        };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(game));
+    }
+
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+}
@@ -0,0 +1,100 @@
+// Puzzles of a chosen difficulty - keeps drawing scrambles until the solver proves one's
+// shortest solution is in the range asked for
+//
+// Difficulty is the optimal distance in single-tile moves. The ranges are for a 4x4 and get
+// scaled for other boards. A plain shuffle lands on hard or expert most of the time, but
+// practically never on easy or medium, so those come from random slides instead.
+import { Puzzle } from './puzzle.js';
+import { newSeedCode, formatSeed } from './random.js';
+
+export const DIFFICULTIES = {
+    easy: { label: 'Easy', from: 20, slides: true },
+    medium: { label: 'Medium', from: 31, slides: true },
+    hard: { label: 'Hard', from: 41, slides: false },
+    expert: { label: 'Expert', from: 51, slides: false }
+};
+const ORDER = ['easy', 'medium', 'hard', 'expert'];
+
+const CANDIDATE_TIME_LIMIT = 10000; // A scramble that takes longer than this to solve gets skipped
+const MAX_CANDIDATES = 60;
+
+// The solver has to prove the distance, which is only quick enough up to 12 cells, or on
+// the 4x4 with its pattern databases (2 x n boards are left out - their distances are
+// nothing like the others')
+export function canPickDifficulty(rows, cols) {
+    return rows >= 3 && cols >= 3 && (rows * cols <= 12 || (rows === 4 && cols === 4));
+}
+
+// Optimal distance range for a difficulty on this board - { min, max }
+export function difficultyRange(rows, cols, difficulty) {
+    // Typical distances grow about as fast as tiles^1.5 (4x4 ~ 53 moves, 3x3 ~ 22)
+    const scale = Math.pow((rows * cols - 1) / 15, 1.5);
+    const index = ORDER.indexOf(difficulty);
+    const min = Math.round(DIFFICULTIES[difficulty].from * scale);
+    const next = ORDER[index + 1];
+    const max = next ? Math.round(DIFFICULTIES[next].from * scale) - 1 : Infinity;
+    return { min, max };
+}
+
+// Find a scramble in range - resolves with { seed, board, distance }. The seed alone gives
+// the same board again (no solving needed), so it can be shared like any other.
+// solverClient is a SolverClient for this board shape; options.signal cancels and
+// options.onProgress gets { tried, status } while it looks
+export async function findScramble(solverClient, rows, cols, difficulty, options = {}) {
+    const { signal, onProgress } = options;
+    const { min, max } = difficultyRange(rows, cols, difficulty);
+    const solvedBoard = Array.from({ length: rows * cols }, (_, i) => (i + 1) % (rows * cols));
+    const puzzle = new Puzzle(rows, cols);
+
+    for (let tried = 0; tried < MAX_CANDIDATES; tried++) {
+        let seed = formatSeed(rows, cols, newSeedCode());
+        if (DIFFICULTIES[difficulty].slides) {
+            // Random slides end up closer than they look - go somewhat past the range
+            const slides = min + Math.floor(Math.random() * (2 * max - min));
+            seed += `-w${slides}`;
+        }
+        puzzle.shuffleWithSeed(seed);
+        const board = puzzle.getBoardArray();
+        if (onProgress) onProgress({ tried, status: `Checking puzzle ${tried + 1}...` });
+
+        const distance = await solveDistance(solverClient, board, solvedBoard, signal, onProgress);
+        if (distance !== null && distance >= min && distance <= max) {
+            return { seed, board, distance };
+        }
+    }
+
+    throw new Error(`Couldn't find a ${DIFFICULTIES[difficulty].label.toLowerCase()} puzzle in time - try again.`);
+}
+
+// Shortest solution length, or null if the solver ran out of time
+async function solveDistance(solverClient, board, solvedBoard, signal, onProgress) {
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    signal?.addEventListener('abort', stop, { once: true });
+
+    // Building or loading the pattern databases (the setup phase) isn't counted
+    let timer = setTimeout(stop, CANDIDATE_TIME_LIMIT);
+    const progressCallback = (progress) => {
+        if (progress.phase === 'setup') {
+            clearTimeout(timer);
+            timer = setTimeout(stop, CANDIDATE_TIME_LIMIT);
+            if (onProgress && progress.status) onProgress({ status: progress.status });
+        }
+    };
+
+    try {
+        const result = await solverClient.solve(board, solvedBoard, progressCallback, {
+            mode: 'optimal',
+            metric: 'single',
+            signal: controller.signal
+        });
+        return result.optimal ? result.moves.length : null;
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        if (error.name !== 'AbortError') console.log('Could not check a scramble', error);
+        return null;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', stop);
+    }
+}
@@ -0,0 +1,99 @@
+// Import / Export popup - the same one on the game page and the solver page
+import { formatGameJSON, formatGameText, parseGame } from './game-file.js';
+
+export class ShareDialog {
+    // getGame() gives the game to export ({ rows, cols, scramble, actions }) or null,
+    // importActions maps import button ids to what each does with the imported game
+    constructor({ getGame, importActions }) {
+        this.getGame = getGame;
+        this.modal = document.getElementById('share-modal');
+        this.formatSelect = document.getElementById('share-format');
+        this.exportText = document.getElementById('share-export-text');
+        this.importText = document.getElementById('share-import-text');
+        this.errorElement = document.getElementById('share-import-error');
+
+        document.getElementById('close-share-modal')?.addEventListener('click', () => this.close());
+        this.modal?.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.formatSelect?.addEventListener('change', () => this.updateExport());
+        document.getElementById('share-copy-btn')?.addEventListener('click', (e) => this.copyExport(e.currentTarget));
+        document.getElementById('share-download-btn')?.addEventListener('click', () => this.downloadExport());
+        document.getElementById('share-file-input')?.addEventListener('change', (e) => this.readFile(e.target));
+
+        Object.entries(importActions).forEach(([id, handler]) => {
+            document.getElementById(id)?.addEventListener('click', () => this.runImport(handler));
+        });
+    }
+
+    open() {
+        if (!this.modal) return;
+        this.showError('');
+        this.updateExport();
+        this.modal.classList.remove('hidden');
+    }
+
+    close() {
+        this.modal?.classList.add('hidden');
+    }
+
+    updateExport() {
+        const game = this.getGame();
+        this.exportText.value = !game ? ''
+            : this.formatSelect.value === 'text' ? formatGameText(game) : formatGameJSON(game);
+        this.exportText.placeholder = game ? '' : 'Nothing to export yet';
+    }
+
+    async copyExport(button) {
+        if (!this.exportText.value) return;
+        const originalHTML = button.innerHTML;
+        try {
+            await navigator.clipboard.writeText(this.exportText.value);
+            button.innerHTML = '<i class="fas fa-check"></i> Copied!';
+        } catch (error) {
+            // Clipboard can be blocked - at least select it so it's easy to copy by hand
+            this.exportText.select();
+            button.innerHTML = '<i class="fas fa-keyboard"></i> Press Ctrl+C';
+        }
+        setTimeout(() => {
+            button.innerHTML = originalHTML;
+        }, 2000);
+    }
+
+    downloadExport() {
+        if (!this.exportText.value) return;
+        const isText = this.formatSelect.value === 'text';
+        const blob = new Blob([this.exportText.value + '\n'], { type: isText ? 'text/plain' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = isText ? 'slide15-game.txt' : 'slide15-game.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // A chosen file goes into the paste box, so it can be checked before importing
+    async readFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+        this.importText.value = await file.text();
+        this.showError('');
+        input.value = '';
+    }
+
+    runImport(handler) {
+        try {
+            const game = parseGame(this.importText.value);
+            handler(game);
+            this.importText.value = '';
+            this.close();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    showError(message) {
+        if (!this.errorElement) return;
+        this.errorElement.textContent = message;
+        this.errorElement.classList.toggle('hidden', !message);
+    }
+}
@@ -0,0 +1,109 @@
+// Talks to the solver worker from the page
+export class SolverClient {
+    // rows x cols board - pass just one number for a square board
+    // solverOptions are the PuzzleSolver budgets every solve uses (see solver-options.js)
+    constructor(rows = 4, cols = rows, solverOptions = {}) {
+        this.rows = rows;
+        this.cols = cols;
+        this.solverOptions = solverOptions;
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map();
+    }
+
+    // Start the worker the first time we need it
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                // The worker itself broke (e.g. failed to load) - fail everything waiting on it
+                const error = new Error(event.message || 'The solver could not be started.');
+                this.pending.forEach(request => request.reject(error));
+                this.pending.clear();
+                this.worker = null;
+            });
+        }
+        return this.worker;
+    }
+
+    // Ask the worker for a solution - resolves with { moves, algorithm, optimal }
+    // options.signal (an AbortSignal) cancels it: the promise rejects right away with an
+    // AbortError whose lastProgress holds the last progress report we got
+    solve(initialBoard, targetBoard, progressCallback, options = {}) {
+        const id = this.nextId++;
+        const { signal, ...workerOptions } = options; // Signals can't be posted to a worker
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('The solve was cancelled.', 'AbortError'));
+                return;
+            }
+
+            const request = { resolve, reject, progressCallback, lastProgress: null };
+            this.pending.set(id, request);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!this.pending.has(id)) return;
+                    this.pending.delete(id);
+                    if (this.worker) {
+                        this.worker.postMessage({ type: 'cancel', id });
+                    }
+
+                    const error = new DOMException('The solve was cancelled.', 'AbortError');
+                    error.lastProgress = request.lastProgress;
+                    reject(error);
+                }, { once: true });
+            }
+
+            this.getWorker().postMessage({
+                type: 'start',
+                id,
+                rows: this.rows,
+                cols: this.cols,
+                solverOptions: this.solverOptions,
+                initialBoard,
+                targetBoard,
+                options: workerOptions
+            });
+        });
+    }
+
+    // New budgets for the solves from now on
+    setSolverOptions(solverOptions) {
+        this.solverOptions = solverOptions;
+    }
+
+    // Route worker messages back to whoever asked
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        switch (message.type) {
+            case 'progress':
+                request.lastProgress = message.progress;
+                if (request.progressCallback) {
+                    request.progressCallback(message.progress);
+                }
+                break;
+            case 'result':
+                this.pending.delete(message.id);
+                request.resolve(message.result);
+                break;
+            case 'error':
+                this.pending.delete(message.id);
+                request.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    // Shut the worker down
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.clear();
+    }
+}
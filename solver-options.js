@@ -0,0 +1,56 @@
+// Search budgets for PuzzleSolver - how long and how far each search may go before the
+// solver gives up on it. The defaults are what the solver has always used.
+//
+// Only balanced and fast mode have budgets: optimal mode and the pattern database search
+// keep going until they've proven the answer (or get cancelled).
+
+// The searches balanced mode can fall back on, when the pattern databases can't help
+export const SOLVER_ALGORITHMS = {
+    astar: 'A*',
+    ida: 'IDA*',
+    guided: 'Guided BFS'
+};
+
+export const DEFAULT_SOLVER_OPTIONS = {
+    algorithms: ['astar', 'ida', 'guided'], // Balanced mode tries these in turn until one works
+    timeLimit: 0, // ms each of those gets before the next one takes over - 0 for no limit
+    aStarMaxNodes: 8000, // A* hands over once it has looked at this many boards
+    aStarExtraDepth: 15, // ...and never looks further than this past the first estimate
+    idaMaxNodes: 2000000,
+    idaMaxDepth: 70,
+    guidedMaxNodes: 60000, // Also the fast mode's budget - every board found stays in memory
+    guidedMaxDepth: 45,
+    fastMaxDepth: 500
+};
+
+// Allowed range for each number
+export const SOLVER_OPTION_LIMITS = {
+    timeLimit: { min: 0, max: 600000 },
+    aStarMaxNodes: { min: 100, max: 5000000 },
+    aStarExtraDepth: { min: 0, max: 100 },
+    idaMaxNodes: { min: 1000, max: 1000000000 },
+    idaMaxDepth: { min: 10, max: 200 },
+    guidedMaxNodes: { min: 100, max: 5000000 },
+    guidedMaxDepth: { min: 10, max: 1000 },
+    fastMaxDepth: { min: 10, max: 5000 }
+};
+
+// A complete set of options from a partial or saved one - anything missing, unknown or out
+// of range is the default again
+export function normalizeSolverOptions(options = {}) {
+    const normalized = { ...DEFAULT_SOLVER_OPTIONS };
+
+    Object.entries(SOLVER_OPTION_LIMITS).forEach(([key, { min, max }]) => {
+        const value = options?.[key];
+        if (Number.isInteger(value) && value >= min && value <= max) {
+            normalized[key] = value;
+        }
+    });
+
+    if (Array.isArray(options?.algorithms)) {
+        const algorithms = [...new Set(options.algorithms)].filter(name => name in SOLVER_ALGORITHMS);
+        if (algorithms.length > 0) normalized.algorithms = algorithms;
+    }
+
+    return normalized;
+}
@@ -1,12 +1,21 @@
 // Solver page where you can set up puzzles and solve them
 import { Puzzle } from './puzzle.js';
-import { PuzzleSolver } from './solver.js';
+import { PuzzleSolver, SOLVE_MODES, MOVE_METRICS } from './solver.js';
+import { SolverClient } from './solver-client.js';
+import { SOLVER_ALGORITHMS, SOLVER_OPTION_LIMITS, DEFAULT_SOLVER_OPTIONS, normalizeSolverOptions } from './solver-options.js';
+import { fitBoard, tilePosition } from './board-layout.js';
+import { ShareDialog } from './share-dialog.js';
+import { newSeedCode, formatSeed, parseSeed } from './random.js';
+
+const BOARD_SIDES = [2, 3, 4, 5, 6, 7, 8]; // Rows and columns can each be any of these
 
 // A board you can click and drag to set up your puzzle
 class EditableBoard {
-    constructor(boardElement, initialState = null) {
+    constructor(boardElement, initialState = null, rows = 4, cols = rows) {
         this.boardElement = boardElement;
-        this.size = 4;
+        this.rows = rows;
+        this.cols = cols;
+        this.layout = null; // Tile size and spacing from the last render
         this.board = initialState || this.createSolvedBoard();
         this.selectedTile = null;
         this.draggedElement = null;
@@ -20,13 +29,20 @@ class EditableBoard {
     // Make a solved board
     createSolvedBoard() {
         const board = [];
-        for (let i = 1; i < this.size * this.size; i++) {
+        for (let i = 1; i < this.rows * this.cols; i++) {
             board.push(i);
         }
         board.push(0); // Empty space
         return board;
     }
 
+    // Switch to a different board shape (starts again from the solved board)
+    setShape(rows, cols) {
+        this.rows = rows;
+        this.cols = cols;
+        this.reset();
+    }
+
     // Set up the board and click handlers
     setupBoard() {
         // Ensure touch-action is set on the board element
@@ -52,10 +68,11 @@ class EditableBoard {
 
     render() {
         this.boardElement.innerHTML = '';
+        this.layout = fitBoard(this.boardElement, this.rows, this.cols);
         
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const index = i * this.size + j;
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const index = i * this.cols + j;
                 const value = this.board[index];
                 
                 const tile = document.createElement('div');
@@ -64,20 +81,7 @@ class EditableBoard {
                 tile.dataset.index = index;
                 tile.dataset.value = value;
                 
-                const tileSize = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile-size'));
-                const gap = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--gap'));
-                const boardPadding = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--board-padding')) || 0;
-                
-                // Calculate centering offset within the board
-                const contentWidth = this.boardElement.clientWidth - (2 * boardPadding);
-                const contentHeight = this.boardElement.clientHeight - (2 * boardPadding);
-                const expectedWidth = 4 * tileSize + 3 * gap;
-                const expectedHeight = 4 * tileSize + 3 * gap;
-                const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
-                const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
-                
-                const x = boardPadding + horizontalOffset + j * (tileSize + gap);
-                const y = boardPadding + verticalOffset + i * (tileSize + gap);
+                const { x, y } = tilePosition(this.boardElement, this.layout, i, j);
                 
                 tile.style.position = 'absolute';
                 tile.style.left = '0';
@@ -208,24 +212,6 @@ class EditableBoard {
                         this.draggedIndex = targetIndex;
                         
                         // Animate the target tile to the old position
-                        const tileSize = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile-size'));
-                        const gap = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--gap'));
-                        const boardPadding = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--board-padding')) || 0;
-                        
-                        // Calculate centering offset within the board
-                        const contentWidth = this.boardElement.clientWidth - (2 * boardPadding);
-                        const contentHeight = this.boardElement.clientHeight - (2 * boardPadding);
-                        const expectedWidth = 4 * tileSize + 3 * gap;
-                        const expectedHeight = 4 * tileSize + 3 * gap;
-                        const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
-                        const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
-                        
-                        // Calculate positions from indices
-                        const oldRow = Math.floor(targetIndex / this.size);
-                        const oldCol = targetIndex % this.size;
-                        const newRow = Math.floor(parseInt(targetTile.dataset.index) / this.size);
-                        const newCol = parseInt(targetTile.dataset.index) % this.size;
-                        
                         // Re-render all tiles except the dragged one
                         const tiles = Array.from(this.boardElement.querySelectorAll('.tile'));
                         tiles.forEach(tile => {
@@ -234,10 +220,9 @@ class EditableBoard {
                             const index = this.board.findIndex(val => val === parseInt(tile.dataset.value));
                             if (index === -1) return;
                             
-                            const row = Math.floor(index / this.size);
-                            const col = index % this.size;
-                            const x = boardPadding + horizontalOffset + col * (tileSize + gap);
-                            const y = boardPadding + verticalOffset + row * (tileSize + gap);
+                            const row = Math.floor(index / this.cols);
+                            const col = index % this.cols;
+                            const { x, y } = tilePosition(this.boardElement, this.layout, row, col);
                             
                             tile.dataset.index = index;
                             tile.style.transition = 'transform 0.2s ease-out';
@@ -322,12 +307,7 @@ class EditableBoard {
                 tile.classList.add('selected-tile');
             } else {
                 // Second selection - swap values
-                const temp = this.board[this.selectedTile];
-                this.board[this.selectedTile] = this.board[index];
-                this.board[index] = temp;
-                
-                this.selectedTile = null;
-                this.render();
+                this.swapTiles(this.selectedTile, index);
             }
         });
     }
@@ -336,42 +316,32 @@ class EditableBoard {
         return [...this.board];
     }
 
+    // Swap what's in two cells - with highlight the two tiles flash so the change is easy to spot
+    swapTiles(indexA, indexB, { highlight = false } = {}) {
+        const temp = this.board[indexA];
+        this.board[indexA] = this.board[indexB];
+        this.board[indexB] = temp;
+
+        this.selectedTile = null;
+        this.render();
+        if (highlight) {
+            [indexA, indexB].forEach(index => {
+                this.boardElement.querySelector(`.tile[data-index="${index}"]`).classList.add('swapped-tile');
+            });
+        }
+    }
+
     setBoard(board) {
         this.board = [...board];
         this.selectedTile = null;
         this.render();
     }
 
-    randomize() {
-        // Start with solved board and perform random valid moves
-        // This makes sure the puzzle can be solved
-        const board = this.createSolvedBoard();
-        const moves = 50 + Math.floor(Math.random() * 100); // 50-150 random moves
-        
-        let emptyIndex = board.length - 1; // Empty starts at bottom-right
-        
-        for (let i = 0; i < moves; i++) {
-            // Get valid moves for empty space
-            const emptyRow = Math.floor(emptyIndex / this.size);
-            const emptyCol = emptyIndex % this.size;
-            const possibleMoves = [];
-            
-            // Check all 4 directions
-            if (emptyRow > 0) possibleMoves.push(emptyIndex - this.size); // Up
-            if (emptyRow < this.size - 1) possibleMoves.push(emptyIndex + this.size); // Down
-            if (emptyCol > 0) possibleMoves.push(emptyIndex - 1); // Left
-            if (emptyCol < this.size - 1) possibleMoves.push(emptyIndex + 1); // Right
-            
-            // Pick random valid move
-            const randomMove = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
-            
-            // Swap empty space with chosen tile
-            board[emptyIndex] = board[randomMove];
-            board[randomMove] = 0;
-            emptyIndex = randomMove;
-        }
-        
-        this.setBoard(board);
+    // Same scramble the game makes for this seed, so seeds can be shared between the two pages
+    randomize(seed) {
+        const puzzle = new Puzzle(this.rows, this.cols);
+        puzzle.shuffleWithSeed(seed);
+        this.setBoard(puzzle.getBoardArray());
     }
 
     reset() {
@@ -380,10 +350,11 @@ class EditableBoard {
 }
 
 class SolutionVisualizer {
-    constructor(boardElement, parent = null) {
+    constructor(boardElement, parent = null, rows = 4, cols = rows) {
         this.boardElement = boardElement;
         this.parent = parent;
-        this.size = 4;
+        this.rows = rows;
+        this.cols = cols;
         this.currentState = null;
         this.isAnimating = false;
         this.setupResizeHandler();
@@ -402,6 +373,14 @@ class SolutionVisualizer {
         });
     }
 
+    // Switch to a different board shape (clears whatever was showing)
+    setShape(rows, cols) {
+        this.rows = rows;
+        this.cols = cols;
+        this.currentState = null;
+        this.boardElement.innerHTML = '';
+    }
+
     displayState(board) {
         this.currentState = board;
         this.render();
@@ -426,14 +405,14 @@ class SolutionVisualizer {
         // Wait a moment so the starting state shows up
         await new Promise(resolve => setTimeout(resolve, 100 / (this.parent?.speedMultiplier || 1)));
         
-        // Find and highlight the moving tile
-        const movingTileValue = move.value;
+        // Find and highlight the moving tiles (more than one for a slide)
+        const movingTileValues = move.tiles || [move.value];
         const tiles = this.boardElement.querySelectorAll('.tile');
-        let movingTileElement = null;
+        const movingTileElements = [];
         
         tiles.forEach(tile => {
-            if (parseInt(tile.textContent) === movingTileValue) {
-                movingTileElement = tile;
+            if (movingTileValues.includes(parseInt(tile.textContent))) {
+                movingTileElements.push(tile);
                 tile.style.boxShadow = '0 0 20px var(--accent-red), 0 0 40px var(--accent-red)';
                 tile.style.zIndex = '1000';
                 // Add subtle scale without disrupting position
@@ -455,13 +434,13 @@ class SolutionVisualizer {
         await new Promise(resolve => setTimeout(resolve, 350 / (this.parent?.speedMultiplier || 1)));
         
         // Clean up the moving tile effects
-        if (movingTileElement) {
+        movingTileElements.forEach(movingTileElement => {
             movingTileElement.style.boxShadow = '';
             movingTileElement.style.zIndex = '';
             // Remove scale while preserving position
             const transform = movingTileElement.style.transform;
             movingTileElement.style.transform = transform.replace(/scale\([^)]*\)\s*/g, '');
-        }
+        });
         
         this.isAnimating = false;
     }
@@ -471,9 +450,9 @@ class SolutionVisualizer {
         
         // Get all tile positions from current state
         const positions = new Map();
-        for (let i = 0; i < this.size; i++) {
-            for (let j = 0; j < this.size; j++) {
-                const index = i * this.size + j;
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const index = i * this.cols + j;
                 const value = this.currentState[index];
                 if (value !== 0) {
                     positions.set(value, { row: i, col: j });
@@ -492,6 +471,7 @@ class SolutionVisualizer {
         
         // Update existing tiles and create new ones if needed
         const usedTiles = new Set();
+        const layout = fitBoard(this.boardElement, this.rows, this.cols);
         
         for (const [value, pos] of positions) {
             let tile = tileMap.get(value);
@@ -510,19 +490,7 @@ class SolutionVisualizer {
             
             usedTiles.add(value);
             
-            const tileSize = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--tile-size'));
-            const gap = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--gap'));
-            const boardPadding = parseInt(getComputedStyle(document.documentElement).getPropertyValue('--board-padding')) || 0;
-            
-            const contentWidth = this.boardElement.clientWidth - (2 * boardPadding);
-            const contentHeight = this.boardElement.clientHeight - (2 * boardPadding);
-            const expectedWidth = 4 * tileSize + 3 * gap;
-            const expectedHeight = 4 * tileSize + 3 * gap;
-            const horizontalOffset = Math.max(0, (contentWidth - expectedWidth) / 2);
-            const verticalOffset = Math.max(0, (contentHeight - expectedHeight) / 2);
-            
-            const x = boardPadding + horizontalOffset + pos.col * (tileSize + gap);
-            const y = boardPadding + verticalOffset + pos.row * (tileSize + gap);
+            const { x, y } = tilePosition(this.boardElement, layout, pos.row, pos.col);
             
             // Update position smoothly
             tile.style.transform = `translate(${x}px, ${y}px)`;
@@ -543,21 +511,34 @@ class SolverPageController {
         this.initialBoard = null;
         this.targetBoard = null;
         this.solutionVisualizer = null;
-        this.solver = new PuzzleSolver(4);
+        this.boardShape = this.loadBoardShape(); // { rows, cols }
+        this.solverOptions = this.loadSolverOptions(); // Budgets from the Advanced settings
+        this.solver = new PuzzleSolver(this.boardShape.rows, this.boardShape.cols, this.solverOptions);
+        this.solverClient = new SolverClient(this.boardShape.rows, this.boardShape.cols, this.solverOptions); // Does the actual searching in a worker
+        this.solveController = null; // Lets the Cancel button stop the current solve
+        this.moveMetric = 'single';
         this.currentSolution = null;
         this.currentStepIndex = 0;
         this.isPlaying = false;
         this.playInterval = null;
         this.speedMultiplier = 1.0; // Start with normal speed
+        this.solveMode = 'balanced';
         
         this.setup();
     }
 
     setup() {
         // Set up the puzzle boards
-        this.initialBoard = new EditableBoard(document.getElementById('initial-board'));
-        this.targetBoard = new EditableBoard(document.getElementById('target-board'));
-        this.solutionVisualizer = new SolutionVisualizer(document.getElementById('solution-board'), this);
+        const { rows, cols } = this.boardShape;
+        this.initialBoard = new EditableBoard(document.getElementById('initial-board'), null, rows, cols);
+        this.targetBoard = new EditableBoard(document.getElementById('target-board'), null, rows, cols);
+        this.solutionVisualizer = new SolutionVisualizer(document.getElementById('solution-board'), this, rows, cols);
+        this.shareDialog = new ShareDialog({
+            getGame: () => this.getShareableGame(),
+            importActions: {
+                'share-load-btn': (game) => this.loadImportedGame(game)
+            }
+        });
         
         // Set up the colors
         this.setupTheme();
@@ -574,10 +555,12 @@ class SolverPageController {
         this.setupColorCustomization();
     }
 
-    showNotification(title, message) {
+    // action is an optional { label, run } for a button next to OK
+    showNotification(title, message, action = null) {
         const modal = document.getElementById('notification-modal');
         const titleEl = document.getElementById('notification-title');
         const contentEl = document.getElementById('notification-content');
+        const actionBtn = document.getElementById('notification-action');
         
         titleEl.textContent = title;
         contentEl.textContent = message;
@@ -586,6 +569,15 @@ class SolverPageController {
         const closeModal = () => {
             modal.style.display = 'none';
         };
+
+        actionBtn.classList.toggle('hidden', !action);
+        if (action) {
+            actionBtn.textContent = action.label;
+            actionBtn.onclick = () => {
+                closeModal();
+                action.run();
+            };
+        }
         
         document.getElementById('close-notification').onclick = closeModal;
         document.getElementById('notification-ok').onclick = closeModal;
@@ -816,8 +808,9 @@ class SolverPageController {
         });
 
         document.getElementById('randomize-initial-btn').addEventListener('click', () => {
-            this.initialBoard.randomize();
+            this.randomizeInitialBoard(formatSeed(this.boardShape.rows, this.boardShape.cols, newSeedCode()));
         });
+        this.setupSeedInput();
 
         document.getElementById('reset-target-btn').addEventListener('click', () => {
             this.targetBoard.reset();
@@ -834,6 +827,15 @@ class SolverPageController {
             this.handleSolve();
         });
 
+        this.setupSolveModeToggle();
+        this.setupMoveMetricToggle();
+        this.setupBoardShapeSelect();
+
+        document.getElementById('share-btn').addEventListener('click', () => this.shareDialog.open());
+        this.setupAdvancedSettings();
+
+        document.getElementById('cancel-solve-btn').addEventListener('click', () => this.cancelSolve());
+
         // Solution navigation
         document.getElementById('first-step-btn').addEventListener('click', () => this.goToStep(0));
         document.getElementById('prev-step-btn').addEventListener('click', () => this.previousStep());
@@ -861,10 +863,252 @@ class SolverPageController {
 
     }
 
+    // Optimal / Balanced / Fast switch next to the solve button
+    setupSolveModeToggle() {
+        const savedMode = localStorage.getItem('solverMode');
+        if (SOLVE_MODES.includes(savedMode)) {
+            this.solveMode = savedMode;
+        }
+
+        document.querySelectorAll('input[name="solve-mode"]').forEach(input => {
+            input.checked = input.value === this.solveMode;
+            input.addEventListener('change', () => {
+                if (input.checked) {
+                    this.solveMode = input.value;
+                    localStorage.setItem('solverMode', this.solveMode);
+                }
+            });
+        });
+    }
+
+    // Single tiles / Whole slides - how the solver counts moves
+    setupMoveMetricToggle() {
+        const savedMetric = localStorage.getItem('solverMetric');
+        if (MOVE_METRICS.includes(savedMetric)) {
+            this.moveMetric = savedMetric;
+        }
+
+        document.querySelectorAll('input[name="move-metric"]').forEach(input => {
+            input.checked = input.value === this.moveMetric;
+            input.addEventListener('change', () => {
+                if (input.checked) {
+                    this.moveMetric = input.value;
+                    localStorage.setItem('solverMetric', this.moveMetric);
+                }
+            });
+        });
+    }
+
+    // Shape from last time, if there is one
+    loadBoardShape() {
+        const [rows, cols] = (localStorage.getItem('solverBoardShape') || '').split('x').map(n => parseInt(n));
+        if (BOARD_SIDES.includes(rows) && BOARD_SIDES.includes(cols)) {
+            return { rows, cols };
+        }
+        return { rows: 4, cols: 4 };
+    }
+
+    // Rows x columns pickers above the boards
+    setupBoardShapeSelect() {
+        const rowsSelect = document.getElementById('board-rows');
+        const colsSelect = document.getElementById('board-cols');
+        if (!rowsSelect || !colsSelect) return;
+
+        rowsSelect.value = this.boardShape.rows;
+        colsSelect.value = this.boardShape.cols;
+        [rowsSelect, colsSelect].forEach(select => {
+            select.addEventListener('change', () => {
+                this.changeBoardShape(parseInt(rowsSelect.value), parseInt(colsSelect.value));
+            });
+        });
+    }
+
+    // Both boards start again from solved, and any old solution goes away
+    changeBoardShape(rows, cols) {
+        if (!BOARD_SIDES.includes(rows) || !BOARD_SIDES.includes(cols)) return;
+
+        this.boardShape = { rows, cols };
+        localStorage.setItem('solverBoardShape', `${rows}x${cols}`);
+
+        this.solver = new PuzzleSolver(rows, cols, this.solverOptions);
+        this.solverClient.terminate();
+        this.solverClient = new SolverClient(rows, cols, this.solverOptions);
+
+        this.resetSolver();
+        this.initialBoard.setShape(rows, cols);
+        this.targetBoard.setShape(rows, cols);
+        this.solutionVisualizer.setShape(rows, cols);
+    }
+
+    loadSolverOptions() {
+        try {
+            return normalizeSolverOptions(JSON.parse(localStorage.getItem('solverOptions')));
+        } catch (error) {
+            return normalizeSolverOptions();
+        }
+    }
+
+    // Advanced modal - search order, budgets and depth limits, kept in localStorage
+    setupAdvancedSettings() {
+        const modal = document.getElementById('advanced-modal');
+        if (!modal) return;
+
+        const selects = [...modal.querySelectorAll('.algorithm-select')];
+        selects.forEach((select, index) => {
+            // Only the first search is required
+            const choices = index === 0 ? [] : [['', 'Nothing']];
+            choices.push(...Object.entries(SOLVER_ALGORITHMS));
+            select.innerHTML = '';
+            choices.forEach(([value, label]) => select.add(new Option(label, value)));
+        });
+
+        modal.querySelectorAll('.advanced-input').forEach(input => {
+            const { min, max } = SOLVER_OPTION_LIMITS[input.dataset.option];
+            input.min = min;
+            input.max = max;
+            input.addEventListener('input', () => input.classList.remove('invalid'));
+        });
+
+        const closeModal = () => modal.classList.add('hidden');
+        document.getElementById('advanced-btn').addEventListener('click', () => {
+            this.fillAdvancedSettings(this.solverOptions);
+            modal.classList.remove('hidden');
+        });
+        document.getElementById('close-advanced-btn').addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+
+        document.getElementById('reset-advanced-btn').addEventListener('click', () => {
+            this.fillAdvancedSettings(DEFAULT_SOLVER_OPTIONS);
+        });
+        document.getElementById('save-advanced-btn').addEventListener('click', () => {
+            const options = this.readAdvancedSettings();
+            if (!options) return;
+
+            this.solverOptions = options;
+            localStorage.setItem('solverOptions', JSON.stringify(options));
+            this.solver = new PuzzleSolver(this.boardShape.rows, this.boardShape.cols, options);
+            this.solverClient.setSolverOptions(options);
+            closeModal();
+        });
+    }
+
+    fillAdvancedSettings(options) {
+        const modal = document.getElementById('advanced-modal');
+        modal.querySelectorAll('.algorithm-select').forEach((select, index) => {
+            select.value = options.algorithms[index] || '';
+        });
+        modal.querySelectorAll('.advanced-input').forEach(input => {
+            input.value = options[input.dataset.option];
+            input.classList.remove('invalid');
+        });
+    }
+
+    // The settings as solver options, or null (with the bad fields marked) if some are out of range
+    readAdvancedSettings() {
+        const modal = document.getElementById('advanced-modal');
+        const options = {
+            algorithms: [...modal.querySelectorAll('.algorithm-select')].map(select => select.value).filter(Boolean)
+        };
+
+        let valid = true;
+        modal.querySelectorAll('.advanced-input').forEach(input => {
+            const { min, max } = SOLVER_OPTION_LIMITS[input.dataset.option];
+            const value = Number(input.value);
+            if (input.value === '' || !Number.isInteger(value) || value < min || value > max) {
+                input.classList.add('invalid');
+                valid = false;
+            }
+            options[input.dataset.option] = value;
+        });
+
+        return valid ? normalizeSolverOptions(options) : null;
+    }
+
+    // Random starting board from a seed - shown next to the button so it can be shared
+    randomizeInitialBoard(seed) {
+        this.initialBoard.randomize(seed);
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) {
+            seedInput.value = seed;
+            seedInput.classList.remove('invalid');
+        }
+    }
+
+    // Type in a seed from the game (like 4x4-k3f9ma) to get the same scramble here
+    setupSeedInput() {
+        const seedInput = document.getElementById('seed-input');
+        if (!seedInput) return;
+
+        const useTypedSeed = () => {
+            const parsed = parseSeed(seedInput.value);
+            if (!parsed || !BOARD_SIDES.includes(parsed.rows) || !BOARD_SIDES.includes(parsed.cols)) {
+                seedInput.classList.add('invalid');
+                return;
+            }
+            if (parsed.rows !== this.boardShape.rows || parsed.cols !== this.boardShape.cols) {
+                document.getElementById('board-rows').value = parsed.rows;
+                document.getElementById('board-cols').value = parsed.cols;
+                this.changeBoardShape(parsed.rows, parsed.cols);
+            }
+            this.randomizeInitialBoard(formatSeed(parsed.rows, parsed.cols, parsed.code));
+        };
+        document.getElementById('use-seed-btn')?.addEventListener('click', useTypedSeed);
+        seedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') useTypedSeed();
+        });
+        seedInput.addEventListener('input', () => seedInput.classList.remove('invalid'));
+    }
+
+    // The initial board and, once there is one, the solution's moves as a game file. The
+    // target goes in too unless it's the solved board, so the file can be read back.
+    getShareableGame() {
+        const { rows, cols } = this.boardShape;
+        const customTarget = (target) => target.every((value, i) => value === (i + 1) % target.length) ? null : target;
+        if (!this.currentSolution) {
+            return {
+                rows,
+                cols,
+                scramble: this.initialBoard.getBoard(),
+                target: customTarget(this.targetBoard.getBoard()),
+                actions: []
+            };
+        }
+
+        // Every solution step is a tile (or the far end of a slide) moving into the gap
+        const { states } = this.currentSolution;
+        return {
+            rows,
+            cols,
+            scramble: states[0].board,
+            target: customTarget(states[states.length - 1].board),
+            actions: this.currentSolution.steps.map(step => ({ row: step.from.row, col: step.from.col }))
+        };
+    }
+
+    // An imported game's scramble becomes the initial board, to be solved back to the start
+    // (or to its own target, if it has one)
+    loadImportedGame({ rows, cols, scramble, target }) {
+        if (rows !== this.boardShape.rows || cols !== this.boardShape.cols) {
+            const rowsSelect = document.getElementById('board-rows');
+            const colsSelect = document.getElementById('board-cols');
+            if (rowsSelect) rowsSelect.value = rows;
+            if (colsSelect) colsSelect.value = cols;
+            this.changeBoardShape(rows, cols);
+        } else {
+            this.resetSolver();
+            this.targetBoard.reset();
+        }
+        this.initialBoard.setBoard(scramble);
+        if (target) this.targetBoard.setBoard(target);
+    }
+
     validateBoard(board) {
+        const tileCount = this.boardShape.rows * this.boardShape.cols;
         const values = new Set(board);
-        if (values.size !== 16) return false;
-        for (let i = 0; i < 16; i++) {
+        if (values.size !== tileCount) return false;
+        for (let i = 0; i < tileCount; i++) {
             if (!values.has(i)) return false;
         }
         return true;
@@ -873,26 +1117,22 @@ class SolverPageController {
     async handleSolve() {
         const initialState = this.initialBoard.getBoard();
         const targetState = this.targetBoard.getBoard();
+        const lastTile = this.boardShape.rows * this.boardShape.cols - 1;
 
         // Validate boards
         if (!this.validateBoard(initialState)) {
-            this.showNotification('Invalid Board', 'Invalid initial board! Make sure all numbers 0-15 are used exactly once.');
+            this.showNotification('Invalid Board', `Invalid initial board! Make sure all numbers 0-${lastTile} are used exactly once.`);
             return;
         }
 
         if (!this.validateBoard(targetState)) {
-            this.showNotification('Invalid Board', 'Invalid target board! Make sure all numbers 0-15 are used exactly once.');
+            this.showNotification('Invalid Board', `Invalid target board! Make sure all numbers 0-${lastTile} are used exactly once.`);
             return;
         }
 
-        // Check solvability
-        if (!this.solver.isSolvable(initialState)) {
-            this.showNotification('Unsolvable Puzzle', 'The initial board configuration is not solvable!');
-            return;
-        }
-
-        if (!this.solver.isSolvable(targetState)) {
-            this.showNotification('Unsolvable Puzzle', 'The target board configuration is not solvable!');
+        // Check the target can be reached from the initial board
+        if (!this.solver.canReach(initialState, targetState)) {
+            this.showUnreachableNotification(initialState, targetState);
             return;
         }
 
@@ -903,17 +1143,26 @@ class SolverPageController {
         
         this.showLoadingModal();
         
+        this.solveController = new AbortController();
+        const startTime = Date.now();
+        let bestHeuristic = null; // Closest any search got, in case we get cancelled
+        
         try {
-            const startTime = Date.now();
-            
-            const moves = await this.solver.solve(initialState, targetState, (progress) => {
-                this.updateLoadingProgress(progress, startTime);
-            });
+            const result = await this.solverClient.solve(initialState, targetState, (progress) => {
+                if (typeof progress.bestHeuristic === 'number' &&
+                    (bestHeuristic === null || progress.bestHeuristic < bestHeuristic)) {
+                    bestHeuristic = progress.bestHeuristic;
+                }
+                this.updateLoadingProgress(progress);
+            }, { mode: this.solveMode, metric: this.moveMetric, signal: this.solveController.signal });
             
-            const steps = this.solver.getSolutionSteps(moves);
+            const steps = this.solver.getSolutionSteps(result.moves);
             
             this.currentSolution = {
+                algorithm: result.algorithm,
+                optimal: result.optimal,
                 steps,
+                metric: this.moveMetric,
                 states: this.solver.applyMoves(initialState, steps.map(s => ({
                     value: s.tile,
                     from: s.from,
@@ -926,25 +1175,67 @@ class SolverPageController {
             this.displaySolution();
         } catch (error) {
             this.hideLoadingModal();
-            this.showNotification('Solver Error', `Oops! ${error.message}`);
+            if (error.name === 'AbortError') {
+                this.showCancelledNotification(Date.now() - startTime, bestHeuristic);
+            } else {
+                this.showNotification('Solver Error', `Oops! ${error.message}`);
+            }
         } finally {
+            this.solveController = null;
             solveBtn.innerHTML = originalText;
             solveBtn.disabled = false;
         }
     }
 
+    // Explain the parity mismatch and offer the one swap that fixes it
+    showUnreachableNotification(initialState, targetState) {
+        const describe = (name, board) => {
+            const { inversions, blankRow, parity } = this.solver.getParity(board);
+            const rowText = this.boardShape.cols % 2 === 0 ? `, gap in row ${blankRow} from the bottom` : '';
+            return `${name}: ${inversions} inversion${inversions === 1 ? '' : 's'}${rowText} - ${parity ? 'odd' : 'even'}`;
+        };
+        const rule = this.boardShape.cols % 2 === 0
+            ? 'On a board with an even width, inversions plus the gap\'s row must be both odd or both even.'
+            : 'On a board with an odd width, both inversion counts must be odd or both even.';
+        const fix = this.solver.findParityFix(initialState, targetState);
+
+        this.showNotification('Unsolvable Puzzle', [
+            'Sliding tiles can never turn the initial board into the target.',
+            '',
+            describe('Initial', initialState),
+            describe('Target', targetState),
+            '',
+            rule,
+            `Swapping tiles ${fix.tiles[0]} and ${fix.tiles[1]} on the initial board fixes it.`
+        ].join('\n'), {
+            label: `Swap ${fix.tiles[0]} and ${fix.tiles[1]}`,
+            run: () => this.initialBoard.swapTiles(fix.from, fix.to, { highlight: true })
+        });
+    }
+
+    // Stop the solve in progress (the Cancel button in the loading modal)
+    cancelSolve() {
+        if (this.solveController) {
+            this.solveController.abort();
+        }
+    }
+
+    // Tell the user how far the search got before they stopped it
+    showCancelledNotification(elapsed, bestHeuristic) {
+        let message = `Stopped after ${(elapsed / 1000).toFixed(1)}s.`;
+        if (bestHeuristic !== null) {
+            message += ` The closest board it reached was an estimated ${bestHeuristic} moves from the target.`;
+        }
+        this.showNotification('Solve Cancelled', message);
+    }
+
     // Show loading modal with animated spinner
     showLoadingModal() {
         const modal = document.getElementById('loading-modal');
         modal.style.display = 'flex';
         
         // Reset progress indicators
-        this.updateLoadingProgress({
-            percentage: 0,
-            nodesExplored: 0,
-            currentDepth: 0,
-            phase: 'Initializing solver...'
-        }, Date.now());
+        this.updateLoadingProgress({ status: 'Starting the solver...', progress: 0, phase: 'setup', nodesExpanded: 0, elapsed: 0 });
         
         // Prevent background scrolling
         document.body.style.overflow = 'hidden';
@@ -959,81 +1250,61 @@ class SolverPageController {
         document.body.style.overflow = 'auto';
     }
 
-    // Update loading progress with real-time data
-    updateLoadingProgress(progress, startTime) {
-        const percentage = Math.min(100, Math.max(0, progress.percentage || 0));
-        const nodesExplored = progress.nodesExplored || 0;
-        const currentDepth = progress.currentDepth || 0;
-        const phase = progress.phase || 'Solving...';
-        
-        // Update progress bar
+    // Show a progress event from the solver (the fields are listed at the top of solver.js)
+    updateLoadingProgress(progress) {
+        const percentage = Math.min(100, Math.max(0, progress.progress || 0));
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        const formatNumber = (value) => typeof value === 'number' ? value.toLocaleString() : '-';
+
         const progressFill = document.getElementById('solve-progress-fill');
         if (progressFill) {
             progressFill.style.width = `${percentage}%`;
         }
-        
-        // Update percentage display
-        const percentageElement = document.getElementById('progress-percentage');
-        if (percentageElement) {
-            percentageElement.textContent = `${percentage.toFixed(1)}%`;
-        }
-        
-        // Update progress details
-        const detailsElement = document.getElementById('progress-details');
-        if (detailsElement) {
-            detailsElement.textContent = phase;
-        }
-        
-        // Update solving stats
-        const nodesElement = document.getElementById('nodes-explored');
-        if (nodesElement) {
-            nodesElement.textContent = nodesExplored.toLocaleString();
-        }
-        
-        const depthElement = document.getElementById('current-depth');
-        if (depthElement) {
-            depthElement.textContent = currentDepth;
-        }
-        
-        const timeElement = document.getElementById('elapsed-time');
-        if (timeElement && startTime) {
-            const elapsedSeconds = (Date.now() - startTime) / 1000;
-            timeElement.textContent = `${elapsedSeconds.toFixed(1)}s`;
+        setText('progress-percentage', `${percentage.toFixed(1)}%`);
+        setText('progress-details', progress.status || 'Solving...');
+
+        setText('search-algorithm', progress.phase === 'setup' ? 'Pattern databases' : progress.algorithm || '-');
+        setText('nodes-explored', formatNumber(progress.nodesExpanded));
+        setText('nodes-per-second', progress.nodesPerSecond ? `${formatNumber(progress.nodesPerSecond)}/s` : '-');
+        setText('current-depth', formatNumber(progress.depth));
+        setText('boards-in-memory', formatNumber(progress.boardsInMemory));
+        setText('elapsed-time', `${((progress.elapsed || 0) / 1000).toFixed(1)}s`);
+
+        // What the estimate is for depends on the stage
+        let timeLeftLabel = 'Time Left (at most):';
+        if (progress.phase === 'setup') {
+            timeLeftLabel = 'Time Left (setup):';
+        } else if ((progress.algorithm || '').startsWith('IDA*')) {
+            timeLeftLabel = 'Time Left (this depth):';
         }
+        setText('time-left-label', timeLeftLabel);
+        setText('time-left', typeof progress.eta === 'number' ? this.formatDuration(progress.eta) : '-');
     }
 
-    showProgressDisplay() {
-        const progressContainer = document.getElementById('solving-progress');
-        if (progressContainer) {
-            progressContainer.style.display = 'block';
-            document.getElementById('progress-fill').style.width = '0%';
-            document.getElementById('progress-status').textContent = 'Starting...';
-        }
-    }
-
-    hideProgressDisplay() {
-        const progressContainer = document.getElementById('solving-progress');
-        if (progressContainer) {
-            progressContainer.style.display = 'none';
-        }
-    }
-
-    updateProgress(progress) {
-        const progressFill = document.getElementById('progress-fill');
-        const progressStatus = document.getElementById('progress-status');
-        
-        if (progressFill && progress.progress !== undefined) {
-            progressFill.style.width = `${Math.min(progress.progress, 100)}%`;
-        }
-        
-        if (progressStatus && progress.status) {
-            progressStatus.textContent = progress.status;
-        }
+    // "45s" or "3m 20s" - estimates don't need more than that
+    formatDuration(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `~${seconds}s`;
+        return `~${Math.floor(seconds / 60)}m ${seconds % 60}s`;
     }
 
     displaySolution() {
         document.getElementById('solution-display').classList.remove('hidden');
         
+        // Say how we got here and whether it's the shortest way
+        const methodEl = document.getElementById('solution-method');
+        if (methodEl) {
+            const moveCount = this.currentSolution.steps.length;
+            const optimality = this.currentSolution.optimal
+                ? 'proven optimal'
+                : 'not guaranteed to be the shortest';
+            const unit = this.currentSolution.metric === 'multi' ? 'slides' : 'moves';
+            methodEl.textContent = `${moveCount} ${unit} found by ${this.currentSolution.algorithm} - ${optimality}`;
+        }
+        
         this.currentStepIndex = 0;
         this.updateSolutionDisplay();
         this.renderStepList();
@@ -1184,30 +1455,6 @@ class SolverPageController {
         document.head.appendChild(style);
     }
 
-    updateSolutionDisplay() {
-        const state = this.currentSolution.states[this.currentStepIndex];
-        this.solutionVisualizer.displayState(this.solver.stateToArray(state));
-        
-        document.getElementById('current-step').textContent = this.currentStepIndex;
-        
-        // Update step list
-        const stepItems = document.querySelectorAll('.step-item');
-        stepItems.forEach((item, i) => {
-            if (i === this.currentStepIndex - 1) {
-                item.classList.add('active');
-                item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-            } else {
-                item.classList.remove('active');
-            }
-        });
-
-        // Update button states
-        document.getElementById('first-step-btn').disabled = this.currentStepIndex === 0;
-        document.getElementById('prev-step-btn').disabled = this.currentStepIndex === 0;
-        document.getElementById('next-step-btn').disabled = this.currentStepIndex >= this.currentSolution.steps.length;
-        document.getElementById('last-step-btn').disabled = this.currentStepIndex >= this.currentSolution.steps.length;
-    }
-
     goToStep(index) {
         this.goToStepWithAnimation(index);
     }
@@ -1238,7 +1485,7 @@ class SolverPageController {
             const currentState = this.currentSolution.states[newIndex];
             const move = this.currentSolution.steps[newIndex - 1];
             
-            if (move && move.from && move.to && move.value) {
+            if (move && move.from && move.to && move.tiles) {
                 await this.solutionVisualizer.animateStep(
                     this.solver.stateToArray(prevState),
                     this.solver.stateToArray(currentState),
@@ -1290,7 +1537,7 @@ class SolverPageController {
             const move = this.currentSolution.steps[step - 1];
             
             // Use animation if we have move information
-            if (move && move.from && move.to && move.value) {
+            if (move && move.from && move.to && move.tiles) {
                 await this.solutionVisualizer.animateStep(
                     this.solver.stateToArray(prevState),
                     this.solver.stateToArray(nextState),
@@ -1306,127 +1553,14 @@ class SolverPageController {
         if (this.isPlaying) {
             this.stopPlaying();
         }
-    }    stopPlaying() {
+    }
+
+    stopPlaying() {
         this.isPlaying = false;
         document.getElementById('play-solution-btn').innerHTML = '▶ Play';
         // No need to clear interval since we're using async/await now
     }
 
-    copySolution() {
-        if (!this.currentSolution) return;
-        
-        const text = this.currentSolution.steps
-            .map(s => `${s.step}. ${s.description}`)
-            .join('\n');
-        
-        navigator.clipboard.writeText(text).then(() => {
-            const btn = document.getElementById('copy-solution-btn');
-            const originalText = btn.textContent;
-            btn.textContent = '✓ Copied!';
-            setTimeout(() => {
-                btn.textContent = originalText;
-            }, 2000);
-        });
-    }
-
-    showProgressDisplay() {
-        let progressDiv = document.getElementById('solving-progress');
-        if (!progressDiv) {
-            progressDiv = document.createElement('div');
-            progressDiv.id = 'solving-progress';
-            progressDiv.className = 'solving-progress';
-            progressDiv.innerHTML = `
-                <div class="progress-content">
-                    <h3>🧩 Solving Puzzle...</h3>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: 0%"></div>
-                    </div>
-                    <div class="progress-stats">
-                        <div id="progress-status">Initializing...</div>
-                        <div id="progress-details">Iterations: 0 | Open: 0 | Closed: 0</div>
-                    </div>
-                </div>
-            `;
-            
-            // Add CSS styles
-            const style = document.createElement('style');
-            style.textContent = `
-                .solving-progress {
-                    position: fixed;
-                    top: 50%;
-                    left: 50%;
-                    transform: translate(-50%, -50%);
-                    background: var(--bg-medium);
-                    border: 2px solid var(--accent-primary);
-                    border-radius: 12px;
-                    padding: 30px;
-                    z-index: 10000;
-                    box-shadow: 0 10px 30px rgba(0,0,0,0.5);
-                    min-width: 400px;
-                    text-align: center;
-                }
-                .progress-content h3 {
-                    color: var(--text-primary);
-                    margin-bottom: 20px;
-                    font-size: 1.2rem;
-                }
-                .progress-bar {
-                    width: 100%;
-                    height: 20px;
-                    background: var(--bg-dark);
-                    border-radius: 10px;
-                    overflow: hidden;
-                    margin-bottom: 15px;
-                }
-                .progress-fill {
-                    height: 100%;
-                    background: linear-gradient(90deg, var(--accent-primary), var(--accent-primary-light));
-                    transition: width 0.3s ease;
-                }
-                .progress-stats {
-                    font-size: 0.9rem;
-                    color: var(--text-secondary);
-                }
-                .progress-stats div {
-                    margin: 5px 0;
-                }
-            `;
-            document.head.appendChild(style);
-            document.body.appendChild(progressDiv);
-        }
-        progressDiv.style.display = 'block';
-    }
-    
-    updateProgress(progress) {
-        const statusEl = document.getElementById('progress-status');
-        const detailsEl = document.getElementById('progress-details');
-        const fillEl = document.querySelector('.progress-fill');
-        
-        if (statusEl) statusEl.textContent = progress.status || 'Searching...';
-        
-        if (progress.error) {
-            if (fillEl) fillEl.style.background = 'var(--accent-red)';
-            return;
-        }
-        
-        if (detailsEl && progress.iterations !== undefined) {
-            detailsEl.textContent = `Iterations: ${progress.iterations} | Open: ${progress.openSetSize || 0} | Closed: ${progress.closedSetSize || 0} | Distance: ${progress.bestHeuristic || 0}`;
-        }
-        
-        if (fillEl && progress.progress !== undefined) {
-            fillEl.style.width = `${Math.max(5, progress.progress)}%`;
-        }
-    }
-    
-    hideProgressDisplay() {
-        const progressDiv = document.getElementById('solving-progress');
-        if (progressDiv) {
-            setTimeout(() => {
-                progressDiv.style.display = 'none';
-            }, 1000); // Keep visible for 1 second to show completion
-        }
-    }
-
     resetSolver() {
         document.getElementById('solution-display').classList.add('hidden');
         this.currentSolution = null;
@@ -0,0 +1,39 @@
+// Runs the puzzle solver in the background so the page never freezes
+//
+// Messages in:  { type: 'start', id, rows, cols, solverOptions, initialBoard, targetBoard, options }
+//               { type: 'cancel', id }
+// Messages out: { type: 'progress', id, progress } (the progress event fields are listed in solver.js)
+//               { type: 'result', id, result }   (result is { moves, algorithm, optimal })
+//               { type: 'error', id, message }
+// A cancelled solve just stops - nothing more is sent for it
+import { PuzzleSolver } from './solver.js';
+
+const running = new Map(); // id -> AbortController
+
+self.addEventListener('message', async (event) => {
+    const { type, id, rows, cols, solverOptions, initialBoard, targetBoard, options } = event.data;
+
+    if (type === 'cancel') {
+        const controller = running.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+    if (type !== 'start') return;
+
+    const solver = new PuzzleSolver(rows, cols, solverOptions);
+    const controller = new AbortController();
+    running.set(id, controller);
+
+    try {
+        const result = await solver.solve(initialBoard, targetBoard, (progress) => {
+            self.postMessage({ type: 'progress', id, progress });
+        }, { ...options, signal: controller.signal });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    } finally {
+        running.delete(id);
+    }
+});
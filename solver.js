@@ -1,165 +1,356 @@
 // Solves sliding puzzles step by step
+import { loadPatternDatabase } from './pattern-database.js';
+import { PriorityQueue } from './priority-queue.js';
+import { normalizeSolverOptions, SOLVER_ALGORITHMS } from './solver-options.js';
+
+// optimal: shortest solution, however long it takes
+// balanced: shortest when the pattern databases can help, otherwise whatever turns up first
+// fast: a solution right away, probably not the shortest
+export const SOLVE_MODES = ['optimal', 'balanced', 'fast'];
+
+// single: every tile that moves is a move (the textbook way of counting)
+// multi: sliding a whole line of tiles towards the gap is one move, like in the game
+export const MOVE_METRICS = ['single', 'multi'];
+
+// How often (ms) the searches pause so a cancel request can get through
+const YIELD_INTERVAL = 100;
+
+// Progress events - solve()'s progressCallback always gets an object like this:
+//   status          One line to show people, like "IDA* depth 52 (3s)"
+//   progress        0-100, a rough guess at how far along the whole solve is. Under 10 means
+//                   the pattern databases are still loading or being built
+//   phase           'setup' (pattern databases), 'search' or 'done' (a solution was found)
+//   algorithm       The search running right now ('A*', 'IDA* (pattern databases)'...),
+//                   null during setup
+//   nodesExpanded   Boards expanded since solve() started (same as solver.nodesExpanded)
+//   nodesPerSecond  How fast the current search is expanding them
+//   depth           The f-bound IDA* is searching up to, the f of the board A* is on, or the
+//                   depth the guided search is at - null when there isn't one
+//   bestHeuristic   Closest estimate to the target any board has had so far, or null
+//   boardsInMemory  Boards the current search is holding on to (open and closed sets, or
+//                   the path for IDA*) - the part of its memory use that grows
+//   elapsed         ms since solve() started
+//   eta             ms the current stage will probably still take - building the databases,
+//                   the current IDA* depth, or using up the search's budget. null if there's
+//                   nothing to go on yet
+
 export class PuzzleSolver {
-    constructor(size = 4) {
-        this.size = size;
-        this.totalCells = size * size;
+    // rows x cols board - pass just one number for a square board
+    // options are the search budgets and fallback order (see solver-options.js)
+    constructor(rows = 4, cols = rows, options = {}) {
+        this.rows = rows;
+        this.cols = cols;
+        this.totalCells = rows * cols;
+        this.options = normalizeSolverOptions(options);
+        this.searchDeadline = null; // When the current fallback search runs out of time
+        
+        // Pattern databases only exist for the 4x4 board
+        this.usePatternDatabase = rows === 4 && cols === 4;
+        this.patternDatabase = null;
+
+        // Boards the searches have expanded since the last solve() started, for benchmarks
+        // and progress events
+        this.nodesExpanded = 0;
+        this.solveStartTime = Date.now();
+        this.beginSearch(null);
         
         // Work out where each tile should go
         this.targetPositions = new Array(this.totalCells);
         for (let i = 0; i < this.totalCells; i++) {
             this.targetPositions[i] = {
-                row: Math.floor(i / size),
-                col: i % size
+                row: Math.floor(i / cols),
+                col: i % cols
             };
         }
     }
 
     // Figure out how to solve the puzzle
-    async solve(initialBoard, targetBoard, progressCallback) {
+    // Resolves with { moves, algorithm, optimal } - optimal is only true when the search proves it
+    // Pass options.signal (an AbortSignal) to be able to stop it - it then rejects with an AbortError
+    // and options.metric ('single' or 'multi') to choose how moves are counted
+    async solve(initialBoard, targetBoard, progressCallback, options = {}) {
+        const mode = options.mode || 'balanced';
+        if (!SOLVE_MODES.includes(mode)) {
+            throw new Error(`Unknown solve mode: ${mode}`);
+        }
+
+        const metric = options.metric || 'single';
+        if (!MOVE_METRICS.includes(metric)) {
+            throw new Error(`Unknown move metric: ${metric}`);
+        }
+
+        this.metric = metric;
+        this.signal = options.signal || null;
+        this.lastYield = Date.now();
+        this.nodesExpanded = 0;
+        this.solveStartTime = Date.now();
+        this.beginSearch(null);
+        this.checkAborted();
+
         const start = this.boardToCompactState(initialBoard);
         const goal = this.boardToCompactState(targetBoard);
 
-        // Make sure this can actually be solved
-        if (!this.isSolvable(initialBoard)) {
-            throw new Error('This puzzle configuration cannot be solved.');
+        // Make sure the target can actually be reached
+        if (!this.canReach(initialBoard, targetBoard)) {
+            throw new Error('The target configuration cannot be reached from this board.');
         }
 
-        // Try the quick method first
-        if (progressCallback) {
-            progressCallback({ status: 'Trying the fast method first...', progress: 5 });
+        if (metric === 'multi') {
+            if (mode === 'optimal') {
+                return this.solveOptimal(start, goal, targetBoard, progressCallback);
+            }
+
+            // Otherwise solve tile by tile (pattern databases and all) and group the result into slides
+            const result = await this.solve(initialBoard, targetBoard, progressCallback, { ...options, metric: 'single' });
+            const moves = this.groupMoves(result.moves);
+            return { moves, algorithm: `${result.algorithm}, grouped into slides`, optimal: moves.length === 0 };
         }
 
-        try {
-            const result = await this.aStarAsync(start, goal, targetBoard, progressCallback);
-            if (result) return result;
-        } catch (error) {
-            console.log('A* hit a wall, switching to the backup plan...');
+        if (mode === 'fast') {
+            return this.solveFast(start, goal, progressCallback);
         }
 
-        // Use the slower but more thorough method
-        if (progressCallback) {
-            progressCallback({ status: 'Trying a different approach...', progress: 10 });
+        // With pattern databases IDA* finds the optimal answer quickly
+        if (this.canUsePatternDatabase(targetBoard)) {
+            try {
+                this.checkAborted();
+                await this.loadPatternDatabase(progressCallback, this.signal);
+                this.checkAborted();
+                this.beginSearch('IDA* (pattern databases)');
+                const moves = await this.idaStarPatternAsync(initialBoard, targetBoard, progressCallback);
+                if (moves) return { moves, algorithm: 'IDA* (pattern databases)', optimal: true };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.log('Pattern database search failed, using the regular searches...', error);
+            }
         }
 
-        try {
-            const idaResult = await this.idaStarAsync(start, goal, targetBoard, progressCallback);
-            if (idaResult) return idaResult;
-        } catch (error) {
-            console.log('IDA* also hit a wall, trying simple BFS...');
+        if (mode === 'optimal') {
+            return this.solveOptimal(start, goal, targetBoard, progressCallback);
         }
-        
-        // Final fallback: simple BFS for very difficult puzzles
-        if (progressCallback) {
-            progressCallback({ status: 'Using simple search...', progress: 60 });
+
+        return this.solveBalanced(start, goal, targetBoard, progressCallback);
+    }
+
+    // Each search in options.algorithms in turn, until one finds a solution within its budget
+    async solveBalanced(start, goal, targetBoard, progressCallback) {
+        const searches = {
+            astar: { status: 'Trying A* search...', progress: 10, run: () => this.aStarAsync(start, goal, targetBoard, progressCallback) },
+            ida: { status: 'Trying IDA* search...', progress: 45, run: () => this.idaStarAsync(start, goal, targetBoard, progressCallback) },
+            guided: { status: 'Using simple search...', progress: 70, run: () => this.guidedBFS(start, goal, progressCallback) }
+        };
+
+        for (const name of this.options.algorithms) {
+            const search = searches[name];
+            this.beginSearch(SOLVER_ALGORITHMS[name]);
+            this.reportProgress(progressCallback, { status: search.status, progress: search.progress });
+
+            this.searchDeadline = this.options.timeLimit ? Date.now() + this.options.timeLimit : null;
+            try {
+                const moves = await search.run();
+                if (moves) return { moves, algorithm: SOLVER_ALGORITHMS[name], optimal: false };
+                console.log(`${SOLVER_ALGORITHMS[name]} ran out of room, trying the next search...`);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.log(`${SOLVER_ALGORITHMS[name]} hit a wall, trying the next search...`, error.message);
+            } finally {
+                this.searchDeadline = null;
+            }
         }
-        
-        const bfsResult = await this.guidedBFS(start, goal, progressCallback);
-        
-        if (!bfsResult) {
+
+        throw new Error('Could not find a solution within the search limits - this puzzle is really tricky!');
+    }
+
+    // Shortest solution no matter how long it takes - plain Manhattan distance (or its multi-tile
+    // version) never overestimates, so IDA* with it is guaranteed to stop at the shortest path
+    async solveOptimal(start, goal, targetBoard, progressCallback) {
+        this.beginSearch('IDA*');
+        this.reportProgress(progressCallback, { status: 'Searching for the shortest solution...', progress: 10 });
+
+        const moves = await this.idaStarAsync(start, goal, targetBoard, progressCallback, { optimal: true });
+        if (!moves) {
             throw new Error('Could not find a solution - this puzzle is really tricky!');
         }
+        return { moves, algorithm: 'IDA*', optimal: true };
+    }
+
+    // Any solution, quickly - a best-first search that leans hard on the heuristic
+    async solveFast(start, goal, progressCallback) {
+        for (const weight of [2, 5]) {
+            this.beginSearch('Weighted best-first search');
+            this.reportProgress(progressCallback, { status: 'Looking for a quick solution...', progress: 10 });
+
+            const moves = await this.guidedBFS(start, goal, progressCallback, { weight, maxDepth: this.options.fastMaxDepth, progressFrom: 10 });
+            if (moves) return { moves, algorithm: 'Weighted best-first search', optimal: moves.length === 0 };
+        }
 
-        return bfsResult;
+        throw new Error('Could not find a solution - this puzzle is really tricky!');
     }
 
-    // A* search that can pause and update progress
-    async aStarAsync(start, goal, targetBoard, progressCallback) {
-        const openSet = new PriorityQueue();
-        const closedSet = new Set();
-        const cameFrom = new Map();
-        const gScore = new Map();
-        
-        // Pre-compute goal positions for faster heuristic
+    // Stop straight away if whoever asked for the solve has given up on it
+    checkAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw new DOMException('The solve was cancelled.', 'AbortError');
+        }
+    }
+
+    // Called from inside the search loops - every so often hand control back to the event
+    // loop so a cancel message can arrive, then check whether it did (or time ran out)
+    async checkpoint() {
+        if (this.searchDeadline !== null && Date.now() > this.searchDeadline) {
+            throw new Error('Search time limit reached');
+        }
+        if (!this.signal) return;
+
+        const now = Date.now();
+        if (now - this.lastYield >= YIELD_INTERVAL) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this.lastYield = Date.now();
+        }
+        this.checkAborted();
+    }
+
+    // A new search starts - progress events report its name and speed from here
+    beginSearch(algorithm) {
+        this.algorithm = algorithm;
+        this.searchStart = { time: Date.now(), nodes: this.nodesExpanded };
+    }
+
+    // Boards per second the current search is expanding
+    searchRate() {
+        const seconds = (Date.now() - this.searchStart.time) / 1000;
+        return seconds > 0 ? Math.round((this.nodesExpanded - this.searchStart.nodes) / seconds) : 0;
+    }
+
+    // ms to expand this many more boards at the current rate, or null if that's anyone's guess
+    etaForNodes(remaining) {
+        const rate = this.searchRate();
+        if (!rate || !Number.isFinite(remaining) || remaining < 0) return null;
+        return Math.round(remaining / rate * 1000);
+    }
+
+    // ms until the current IDA* depth is done. Each depth tends to take as many times more
+    // boards than the last as the last did over the one before - iterationSizes are the
+    // boards each finished depth took
+    iterationEta(iterationSizes, doneThisIteration) {
+        if (iterationSizes.length < 2) return null;
+        const last = iterationSizes[iterationSizes.length - 1];
+        const before = iterationSizes[iterationSizes.length - 2];
+        if (before === 0) return null;
+        return this.etaForNodes(last * (last / before) - doneThisIteration);
+    }
+
+    // Send a progress event (see the list at the top) - the search passes what it knows,
+    // the counters and timings get filled in here
+    reportProgress(progressCallback, fields) {
+        if (!progressCallback) return;
+        progressCallback({
+            phase: 'search',
+            algorithm: this.algorithm,
+            depth: null,
+            bestHeuristic: null,
+            boardsInMemory: null,
+            eta: null,
+            ...fields,
+            nodesExpanded: this.nodesExpanded,
+            nodesPerSecond: this.searchRate(),
+            elapsed: Date.now() - this.solveStartTime
+        });
+    }
+
+    // Open set for A* and the guided search
+    createQueue() {
+        return new PriorityQueue();
+    }
+
+    // Pre-compute goal positions for faster heuristic
+    prepareGoalPositions(targetBoard) {
         this.goalPositions = new Array(this.totalCells);
         for (let i = 0; i < this.totalCells; i++) {
             const value = targetBoard[i];
             if (value !== 0) {
                 this.goalPositions[value] = {
-                    row: Math.floor(i / this.size),
-                    col: i % this.size
+                    row: Math.floor(i / this.cols),
+                    col: i % this.cols
                 };
             }
         }
+    }
+
+    // A* search that can pause and update progress
+    async aStarAsync(start, goal, targetBoard, progressCallback) {
+        const openSet = this.createQueue();
+        const table = new TranspositionTable(); // g-score, parent and closed flag for every board seen
+        
+        this.prepareGoalPositions(targetBoard);
 
-        const startKey = this.stateToNumber(start);
-        const goalKey = this.stateToNumber(goal);
+        const startKey = this.stateKey(start);
+        const goalKey = this.stateKey(goal);
         const initialHeuristic = this.manhattanHeuristic(start);
 
-        openSet.enqueue(start, initialHeuristic);
-        gScore.set(startKey, 0);
+        openSet.enqueue(start, initialHeuristic, initialHeuristic);
+        table.set(startKey, { g: 0, parent: null, move: null, closed: false });
 
         let iterations = 0;
-        const maxIterations = 8000; // Reduced iterations for faster timeout
+        const maxIterations = this.options.aStarMaxNodes; // Hand over to the next search after this many
         const startTime = Date.now();
-        const maxTime = 2000; // Reduced to 2 second timeout for A*
-        const progressInterval = 25; // Yield much more frequently
-
-        if (progressCallback) {
-            progressCallback({
-                status: 'A* search in progress...',
-                iterations: 0,
-                openSetSize: 1,
-                closedSetSize: 0,
-                bestHeuristic: initialHeuristic
-            });
-        }
+        const progressInterval = 25;
+        let bestHeuristic = initialHeuristic;
+
+        this.reportProgress(progressCallback, {
+            status: 'A* search in progress...',
+            progress: 10,
+            depth: initialHeuristic,
+            bestHeuristic,
+            boardsInMemory: 1
+        });
 
         while (!openSet.isEmpty() && iterations < maxIterations) {
             iterations++;
             
-            // Yield to main thread much more frequently (every 25 iterations)
+            // Every so often give a cancel a chance to get through (and report progress below)
             if (iterations % progressInterval === 0) {
-                const elapsed = Date.now() - startTime;
-                
-                if (progressCallback) {
-                    const current = openSet.peek();
-                    const currentHeuristic = current ? this.manhattanHeuristic(current) : 0;
-                    
-                    progressCallback({
-                        status: `A* searching... (${Math.floor(elapsed/1000)}s)`,
-                        iterations,
-                        openSetSize: openSet.size(),
-                        closedSetSize: closedSet.size,
-                        bestHeuristic: currentHeuristic,
-                        progress: 15 + (iterations / maxIterations) * 30
-                    });
-                }
-                
-                // Give more time to main thread
-                await new Promise(resolve => setTimeout(resolve, 2));
-                
-                if (elapsed > maxTime) {
-                    console.log('A* timeout after', elapsed, 'ms, switching to backup');
-                    throw new Error('A* timeout');
-                }
+                await this.checkpoint();
             }
 
             const current = openSet.dequeue();
-            const currentKey = this.stateToNumber(current);
+            const currentKey = this.stateKey(current);
 
             if (currentKey === goalKey) {
-                if (progressCallback) {
-                    progressCallback({ 
-                        status: 'A* solution found!', 
-                        progress: 50 
-                    });
-                }
-                return this.reconstructPath(cameFrom, current);
+                this.reportProgress(progressCallback, { status: 'A* solution found!', progress: 100, phase: 'done' });
+                return this.reconstructPath(table, currentKey);
             }
 
-            if (closedSet.has(currentKey)) continue;
-            closedSet.add(currentKey);
+            const currentEntry = table.get(currentKey);
+            if (currentEntry.closed) continue;
+            table.close(currentKey);
+            this.nodesExpanded++;
+
+            const currentHeuristic = this.manhattanHeuristic(current);
+            if (currentHeuristic < bestHeuristic) bestHeuristic = currentHeuristic;
+            if (iterations % progressInterval === 0) {
+                const elapsed = Date.now() - startTime;
+                this.reportProgress(progressCallback, {
+                    status: `A* searching... (${Math.floor(elapsed/1000)}s)`,
+                    progress: 10 + (iterations / maxIterations) * 35,
+                    depth: currentEntry.g + currentHeuristic,
+                    bestHeuristic,
+                    boardsInMemory: table.size,
+                    eta: this.etaForNodes(maxIterations - iterations)
+                });
+            }
 
             const neighbors = this.getNeighbors(current);
-            const currentGScore = gScore.get(currentKey) || 0;
+            const currentGScore = currentEntry.g;
             
             // Prune neighbors that are clearly too far
-            const maxDepth = initialHeuristic + 15; // Allow some extra moves
+            const maxDepth = initialHeuristic + this.options.aStarExtraDepth; // Allow some extra moves
             
             for (const neighbor of neighbors) {
-                const neighborKey = this.stateToNumber(neighbor);
+                const neighborKey = this.stateKey(neighbor);
+                const existing = table.get(neighborKey);
                 
-                if (closedSet.has(neighborKey)) continue;
+                if (existing && existing.closed) continue;
 
                 const tentativeGScore = currentGScore + 1;
                 const heuristic = this.manhattanHeuristic(neighbor);
@@ -167,14 +358,16 @@ export class PuzzleSolver {
                 // Prune if estimated total cost is too high
                 if (tentativeGScore + heuristic > maxDepth) continue;
                 
-                const existingGScore = gScore.get(neighborKey);
-
-                if (existingGScore === undefined || tentativeGScore < existingGScore) {
-                    cameFrom.set(neighborKey, { state: current, move: neighbor.lastMove });
-                    gScore.set(neighborKey, tentativeGScore);
+                if (!existing || tentativeGScore < existing.g) {
+                    table.set(neighborKey, {
+                        g: tentativeGScore,
+                        parent: currentKey,
+                        move: neighbor.lastMove,
+                        closed: false
+                    });
                     
                     const fScore = tentativeGScore + heuristic;
-                    openSet.enqueue(neighbor, fScore);
+                    openSet.enqueue(neighbor, fScore, heuristic);
                 }
             }
         }
@@ -182,40 +375,257 @@ export class PuzzleSolver {
         throw new Error('A* failed');
     }
 
+    // Pattern databases work when the blank ends up in the bottom-right corner
+    canUsePatternDatabase(targetBoard) {
+        return this.usePatternDatabase && this.rows === 4 && this.cols === 4 && targetBoard[this.totalCells - 1] === 0;
+    }
+
+    // Load (or build, the very first time) the pattern databases - a first build stops
+    // early if signal fires
+    async loadPatternDatabase(progressCallback, signal = null) {
+        if (this.patternDatabase) return this.patternDatabase;
+
+        const setupStart = Date.now();
+        const report = (fields) => this.reportProgress(progressCallback, { phase: 'setup', algorithm: null, ...fields });
+        report({ status: 'Loading pattern databases...', progress: 2 });
+
+        this.patternDatabase = await loadPatternDatabase((build) => {
+            const done = (build.group + build.filled / build.total) / build.groups;
+            const elapsed = Date.now() - setupStart;
+            report({
+                status: `Building pattern databases (first run only)... ${Math.floor(done * 100)}%`,
+                progress: 2 + done * 8,
+                eta: done > 0 ? Math.round(elapsed / done - elapsed) : null
+            });
+        }, { signal });
+        return this.patternDatabase;
+    }
+
+    // IDA* guided by the additive pattern databases - always finds the shortest solution
+    async idaStarPatternAsync(initialBoard, targetBoard, progressCallback) {
+        const database = this.patternDatabase;
+        const size = this.cols; // Always 4 - pattern databases are 4x4 only
+        const cells = this.totalCells;
+        const blankLabel = cells - 1;
+
+        // Name every tile by the cell it belongs in, so the target looks like the standard goal
+        const labelOf = new Array(cells);
+        targetBoard.forEach((value, cell) => {
+            labelOf[value] = cell;
+        });
+
+        const board = Int8Array.from(initialBoard, value => labelOf[value]);
+        const positions = new Int8Array(cells);
+        board.forEach((label, cell) => {
+            positions[label] = cell;
+        });
+
+        const groupEstimates = database.groups.map((_, group) => database.groupEstimate(group, positions));
+        let estimate = groupEstimates.reduce((sum, value) => sum + value, 0);
+        const initialEstimate = estimate;
+
+        if (this.isLabelledGoal(positions)) return [];
+
+        const offsets = [-size, size, -1, 1];
+        const blanks = new Int8Array(128); // Blank cell at each depth of the current path
+        const nextDirection = new Int8Array(128);
+        const startTime = Date.now();
+        let nodes = 0;
+        let bound = estimate;
+        let bestEstimate = estimate;
+        const iterationSizes = []; // Boards expanded at each finished depth, for the ETA
+        let iterationStart = this.nodesExpanded;
+        const report = (depth) => {
+            const elapsed = Date.now() - startTime;
+            this.reportProgress(progressCallback, {
+                status: `IDA* depth ${bound} (${Math.floor(elapsed/1000)}s)`,
+                progress: 10 + Math.min(85, (bound - initialEstimate) * 3),
+                depth: bound,
+                bestHeuristic: bestEstimate,
+                boardsInMemory: depth + 1,
+                eta: this.iterationEta(iterationSizes, this.nodesExpanded - iterationStart)
+            });
+        };
+
+        while (true) {
+            report(0);
+
+            let nextBound = Infinity;
+            let depth = 0;
+            blanks[0] = positions[blankLabel];
+            nextDirection[0] = 0;
+
+            while (depth >= 0) {
+                const blank = blanks[depth];
+
+                if (nextDirection[depth] === 4) {
+                    // Out of moves here - step back by sliding the last tile back
+                    if (depth === 0) break;
+
+                    const previous = blanks[depth - 1];
+                    const label = board[previous];
+                    board[blank] = label;
+                    board[previous] = blankLabel;
+                    positions[label] = blank;
+                    positions[blankLabel] = previous;
+
+                    const group = database.groupOf[label];
+                    estimate -= groupEstimates[group];
+                    groupEstimates[group] = database.groupEstimate(group, positions);
+                    estimate += groupEstimates[group];
+
+                    depth--;
+                    continue;
+                }
+
+                const direction = nextDirection[depth]++;
+                const row = Math.floor(blank / size);
+                const col = blank % size;
+                if (direction === 0 && row === 0) continue;
+                if (direction === 1 && row === size - 1) continue;
+                if (direction === 2 && col === 0) continue;
+                if (direction === 3 && col === size - 1) continue;
+
+                const tileCell = blank + offsets[direction];
+                if (depth > 0 && tileCell === blanks[depth - 1]) continue; // Don't undo the last move
+
+                // Slide the tile into the blank
+                const label = board[tileCell];
+                board[blank] = label;
+                board[tileCell] = blankLabel;
+                positions[label] = blank;
+                positions[blankLabel] = tileCell;
+
+                const group = database.groupOf[label];
+                const groupEstimate = database.groupEstimate(group, positions);
+                const newEstimate = estimate - groupEstimates[group] + groupEstimate;
+                const f = depth + 1 + newEstimate;
+                nodes++;
+
+                if (f > bound) {
+                    if (f < nextBound) nextBound = f;
+
+                    // Too far - slide it straight back
+                    board[tileCell] = label;
+                    board[blank] = blankLabel;
+                    positions[label] = tileCell;
+                    positions[blankLabel] = blank;
+                    continue;
+                }
+
+                this.nodesExpanded++;
+                groupEstimates[group] = groupEstimate;
+                estimate = newEstimate;
+                if (estimate < bestEstimate) bestEstimate = estimate;
+                depth++;
+                blanks[depth] = tileCell;
+                nextDirection[depth] = 0;
+
+                if (estimate === 0 && this.isLabelledGoal(positions)) {
+                    this.reportProgress(progressCallback, { status: 'IDA* solution found!', progress: 100, phase: 'done', depth: bound });
+                    return this.blankPathToMoves(initialBoard, blanks.slice(0, depth + 1));
+                }
+
+                if ((nodes & 0x3FFF) === 0) {
+                    await this.checkpoint();
+                }
+                if ((nodes & 0xFFFF) === 0) {
+                    report(depth);
+                }
+            }
+
+            if (nextBound === Infinity) return null;
+            bound = nextBound;
+            iterationSizes.push(this.nodesExpanded - iterationStart);
+            iterationStart = this.nodesExpanded;
+        }
+    }
+
+    // Every tile sits on the cell it's named after
+    isLabelledGoal(positions) {
+        for (let label = 0; label < positions.length; label++) {
+            if (positions[label] !== label) return false;
+        }
+        return true;
+    }
+
+    // Turn the cells the blank visited into regular move objects
+    blankPathToMoves(initialBoard, blankCells) {
+        const board = initialBoard.slice();
+        const moves = [];
+
+        for (let i = 1; i < blankCells.length; i++) {
+            const from = blankCells[i];
+            const to = blankCells[i - 1];
+            const value = board[from];
+            const offset = to - from;
+
+            let direction;
+            if (offset === this.cols) direction = 'down';
+            else if (offset === -this.cols) direction = 'up';
+            else if (offset === 1) direction = 'right';
+            else direction = 'left';
+
+            moves.push({
+                from: { row: Math.floor(from / this.cols), col: from % this.cols },
+                to: { row: Math.floor(to / this.cols), col: to % this.cols },
+                value,
+                direction
+            });
+
+            board[to] = value;
+            board[from] = 0;
+        }
+
+        return moves;
+    }
+
     // Try IDA* search when A* uses too much memory
-    async idaStarAsync(start, goal, targetBoard, progressCallback) {
-        const goalKey = this.stateToNumber(goal);
-        let threshold = this.manhattanHeuristic(start);
+    // With optimal set it sticks to plain Manhattan distance (which never overestimates) and never gives up
+    async idaStarAsync(start, goal, targetBoard, progressCallback, { optimal = false } = {}) {
+        this.prepareGoalPositions(targetBoard);
+        const goalKey = this.stateKey(goal);
+        const budget = {
+            nodes: 0,
+            maxNodes: optimal ? Infinity : this.options.idaMaxNodes, // Give up and fall back after this many nodes
+            heuristic: optimal ? this.admissibleHeuristic() : state => this.manhattanHeuristic(state),
+            bestHeuristic: 0 // Closest the search has got to the goal, for progress reports
+        };
+        let threshold = budget.heuristic(start);
+        budget.bestHeuristic = threshold;
         const startTime = Date.now();
-        const maxTime = 6000; // Increased to 6 seconds for IDA*
+        const maxThreshold = optimal ? Infinity : this.options.idaMaxDepth;
         let iteration = 0;
         
-        while (threshold < 70 && iteration < 30) { // Increased limits
+        const iterationSizes = []; // Boards expanded at each finished depth, for the ETA
+
+        // Called between depths and every so often within one
+        budget.report = (pathLength) => {
+            const elapsed = Date.now() - startTime;
+            const doneThisIteration = budget.nodes - iterationSizes.reduce((sum, size) => sum + size, 0);
+            const depthEta = this.iterationEta(iterationSizes, doneThisIteration);
+            const budgetEta = this.etaForNodes(budget.maxNodes - budget.nodes);
+            this.reportProgress(progressCallback, {
+                status: `IDA* depth ${threshold} (${Math.floor(elapsed/1000)}s)`,
+                progress: optimal
+                    ? 10 + Math.min(85, (threshold - budget.startHeuristic) * 3)
+                    : Math.min(95, 45 + (threshold / this.options.idaMaxDepth) * 25),
+                depth: threshold,
+                bestHeuristic: budget.bestHeuristic,
+                boardsInMemory: pathLength,
+                eta: depthEta === null || budgetEta === null ? depthEta ?? budgetEta : Math.min(depthEta, budgetEta)
+            });
+        };
+        budget.startHeuristic = threshold;
+        
+        while (threshold < maxThreshold) {
             iteration++;
+            budget.report(1);
             
-            if (progressCallback) {
-                const elapsed = Date.now() - startTime;
-                progressCallback({
-                    status: `IDA* depth ${threshold} (${Math.floor(elapsed/1000)}s)`,
-                    progress: 50 + (threshold / 70) * 30,
-                    iterations: iteration
-                });
-            }
-            
-            if (Date.now() - startTime > maxTime) {
-                console.log('IDA* timeout after', Date.now() - startTime, 'ms');
-                throw new Error('IDA* timeout');
-            }
-            
-            // Yield more time between iterations
-            await new Promise(resolve => setTimeout(resolve, 5));
-            
-            const result = await this.idaSearch(start, 0, threshold, goalKey, new Set(), progressCallback);
+            const result = await this.idaSearch(start, threshold, goalKey, budget);
             
             if (Array.isArray(result)) {
-                if (progressCallback) {
-                    progressCallback({ status: 'IDA* solution found!', progress: 95 });
-                }
+                this.reportProgress(progressCallback, { status: 'IDA* solution found!', progress: 100, phase: 'done', depth: threshold });
                 return result;
             }
             
@@ -223,50 +633,70 @@ export class PuzzleSolver {
                 break; // No solution possible
             }
             
+            iterationSizes.push(budget.nodes - iterationSizes.reduce((sum, size) => sum + size, 0));
             threshold = result; // Next threshold
         }
         
         return null;
     }
     
-    async idaSearch(state, g, threshold, goalKey, visited, progressCallback) {
-        const f = g + this.manhattanHeuristic(state);
-        
-        if (f > threshold) return f;
-        
-        const currentKey = this.stateToNumber(state);
-        if (currentKey === goalKey) {
-            return []; // Found solution
-        }
-        
-        if (visited.has(currentKey)) return Infinity;
-        visited.add(currentKey);
-        
-        // Yield more frequently to prevent blocking (every 10 recursive calls)
-        if (g > 0 && g % 10 === 0) {
-            await new Promise(resolve => setTimeout(resolve, 1));
-        }
-        
+    // One depth-first pass - the table holds the boards on the current path so we never loop.
+    // Uses its own stack rather than recursion so it can pause for cancel requests
+    async idaSearch(start, threshold, goalKey, budget) {
+        const pathTable = new TranspositionTable();
+        const stack = [{ state: start, key: this.stateKey(start), g: 0, neighbors: null, next: 0 }];
         let min = Infinity;
-        const neighbors = this.getNeighbors(state);
-        
-        for (const neighbor of neighbors) {
-            const neighborKey = this.stateToNumber(neighbor);
-            if (visited.has(neighborKey)) continue;
-            
-            const result = await this.idaSearch(neighbor, g + 1, threshold, goalKey, visited, progressCallback);
-            
-            if (Array.isArray(result)) {
-                // Found solution, prepend current move
-                return [neighbor.lastMove, ...result];
+
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+
+            // First visit to this board
+            if (frame.neighbors === null) {
+                const h = budget.heuristic(frame.state);
+                const f = frame.g + h;
+
+                if (f > threshold) {
+                    if (f < min) min = f;
+                    stack.pop();
+                    continue;
+                }
+
+                if (frame.key === goalKey) {
+                    // Found solution - the path is the moves that led to each board on the stack
+                    return stack.slice(1).map(entry => entry.state.lastMove);
+                }
+
+                if (h < budget.bestHeuristic) budget.bestHeuristic = h;
+                pathTable.set(frame.key, { g: frame.g });
+
+                this.nodesExpanded++;
+                if (++budget.nodes > budget.maxNodes) {
+                    console.log('IDA* gave up after', budget.nodes, 'nodes');
+                    throw new Error('IDA* node budget exhausted');
+                }
+                if (budget.nodes % 1000 === 0) {
+                    await this.checkpoint();
+                }
+                if (budget.nodes % 20000 === 0) {
+                    budget.report(stack.length);
+                }
+
+                frame.neighbors = this.getNeighbors(frame.state);
             }
-            
-            if (result < min) {
-                min = result;
+
+            if (frame.next < frame.neighbors.length) {
+                const neighbor = frame.neighbors[frame.next++];
+                const neighborKey = this.stateKey(neighbor);
+                if (pathTable.has(neighborKey)) continue;
+
+                stack.push({ state: neighbor, key: neighborKey, g: frame.g + 1, neighbors: null, next: 0 });
+            } else {
+                // Tried everything from here - take it off the path
+                pathTable.delete(frame.key);
+                stack.pop();
             }
         }
-        
-        visited.delete(currentKey);
+
         return min;
     }
 
@@ -280,8 +710,8 @@ export class PuzzleSolver {
             const value = state.board[i];
             if (value === 0) continue;
 
-            const currentRow = Math.floor(i / this.size);
-            const currentCol = i % this.size;
+            const currentRow = Math.floor(i / this.cols);
+            const currentCol = i % this.cols;
             const goalPos = this.goalPositions[value];
             
             if (goalPos) {
@@ -289,8 +719,8 @@ export class PuzzleSolver {
                 
                 // Count linear conflicts in rows
                 if (currentRow === goalPos.row) {
-                    for (let j = currentCol + 1; j < this.size; j++) {
-                        const otherValue = state.board[currentRow * this.size + j];
+                    for (let j = currentCol + 1; j < this.cols; j++) {
+                        const otherValue = state.board[currentRow * this.cols + j];
                         if (otherValue !== 0) {
                             const otherGoalPos = this.goalPositions[otherValue];
                             if (otherGoalPos && otherGoalPos.row === currentRow && otherGoalPos.col < goalPos.col) {
@@ -302,8 +732,8 @@ export class PuzzleSolver {
                 
                 // Count linear conflicts in columns
                 if (currentCol === goalPos.col) {
-                    for (let j = currentRow + 1; j < this.size; j++) {
-                        const otherValue = state.board[j * this.size + currentCol];
+                    for (let j = currentRow + 1; j < this.rows; j++) {
+                        const otherValue = state.board[j * this.cols + currentCol];
                         if (otherValue !== 0) {
                             const otherGoalPos = this.goalPositions[otherValue];
                             if (otherGoalPos && otherGoalPos.col === currentCol && otherGoalPos.row < goalPos.row) {
@@ -326,8 +756,8 @@ export class PuzzleSolver {
             const value = state.board[i];
             if (value === 0) continue;
 
-            const currentRow = Math.floor(i / this.size);
-            const currentCol = i % this.size;
+            const currentRow = Math.floor(i / this.cols);
+            const currentCol = i % this.cols;
             const goalPos = this.goalPositions[value];
             
             if (goalPos) {
@@ -338,12 +768,41 @@ export class PuzzleSolver {
         return distance;
     }
 
+    // A heuristic that never overestimates for the current move metric
+    admissibleHeuristic() {
+        return this.metric === 'multi' ? state => this.multiTileHeuristic(state) : state => this.fastHeuristic(state);
+    }
+
+    // Lower bound when a slide can move a whole line: one slide shifts at most cols - 1 tiles
+    // sideways (or rows - 1 up or down), so it can't remove more than that from either total
+    multiTileHeuristic(state) {
+        let horizontal = 0;
+        let vertical = 0;
+
+        for (let i = 0; i < this.totalCells; i++) {
+            const value = state.board[i];
+            if (value === 0) continue;
+
+            const goalPos = this.goalPositions[value];
+            if (goalPos) {
+                vertical += Math.abs(Math.floor(i / this.cols) - goalPos.row);
+                horizontal += Math.abs(i % this.cols - goalPos.col);
+            }
+        }
+
+        return Math.ceil(horizontal / Math.max(1, this.cols - 1)) + Math.ceil(vertical / Math.max(1, this.rows - 1));
+    }
+
     // Find all possible moves from this state
     getNeighbors(state) {
+        if (this.metric === 'multi') {
+            return this.getSlideNeighbors(state);
+        }
+
         const neighbors = [];
         const emptyIndex = state.emptyIndex;
-        const emptyRow = Math.floor(emptyIndex / this.size);
-        const emptyCol = emptyIndex % this.size;
+        const emptyRow = Math.floor(emptyIndex / this.cols);
+        const emptyCol = emptyIndex % this.cols;
 
         const directions = [
             { row: -1, col: 0, name: 'down' }, // Empty moves up, tile moves down
@@ -356,8 +815,8 @@ export class PuzzleSolver {
             const newRow = emptyRow + dir.row;
             const newCol = emptyCol + dir.col;
 
-            if (newRow >= 0 && newRow < this.size && newCol >= 0 && newCol < this.size) {
-                const tileIndex = newRow * this.size + newCol;
+            if (newRow >= 0 && newRow < this.rows && newCol >= 0 && newCol < this.cols) {
+                const tileIndex = newRow * this.cols + newCol;
                 const newBoard = state.board.slice(); // Fast array copy
                 const tileValue = newBoard[tileIndex];
                 
@@ -381,6 +840,81 @@ export class PuzzleSolver {
         return neighbors;
     }
 
+    // Every slide of one or more tiles into the gap. Two slides in a row along the same line
+    // could always be one slide (or none), so those are skipped
+    getSlideNeighbors(state) {
+        const neighbors = [];
+        const emptyIndex = state.emptyIndex;
+        const emptyRow = Math.floor(emptyIndex / this.cols);
+        const emptyCol = emptyIndex % this.cols;
+        const lastDirection = state.lastMove ? state.lastMove.direction : null;
+        const vertical = direction => direction === 'up' || direction === 'down';
+
+        const directions = [
+            { row: -1, col: 0, name: 'down' }, // Tiles above the gap slide down
+            { row: 1, col: 0, name: 'up' },
+            { row: 0, col: -1, name: 'right' },
+            { row: 0, col: 1, name: 'left' }
+        ];
+
+        for (const dir of directions) {
+            if (lastDirection && vertical(lastDirection) === vertical(dir.name)) continue;
+
+            const board = state.board.slice();
+            const tiles = [];
+            let row = emptyRow + dir.row;
+            let col = emptyCol + dir.col;
+            let gap = emptyIndex;
+
+            // Push one more tile each time round - every length is its own move
+            while (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+                const tileIndex = row * this.cols + col;
+                const tileValue = board[tileIndex];
+                board[gap] = tileValue;
+                board[tileIndex] = 0;
+                gap = tileIndex;
+                tiles.push(tileValue);
+
+                neighbors.push({
+                    board: board.slice(),
+                    emptyIndex: tileIndex,
+                    lastMove: {
+                        from: { row, col },
+                        to: { row: emptyRow, col: emptyCol },
+                        value: tileValue,
+                        direction: dir.name,
+                        tiles: tiles.slice()
+                    }
+                });
+
+                row += dir.row;
+                col += dir.col;
+            }
+        }
+
+        return neighbors;
+    }
+
+    // Merge runs of single-tile moves in the same direction into slides. A move's from is the
+    // far tile (the one you'd tap in the game), to is where the gap was, and tiles lists
+    // everything that moves, nearest the gap first
+    groupMoves(moves) {
+        const grouped = [];
+
+        for (const move of moves) {
+            const previous = grouped[grouped.length - 1];
+            if (previous && previous.direction === move.direction) {
+                previous.from = move.from;
+                previous.value = move.value;
+                previous.tiles.push(move.value);
+            } else {
+                grouped.push({ ...move, tiles: move.tiles ? move.tiles.slice() : [move.value] });
+            }
+        }
+
+        return grouped;
+    }
+
     // Convert board array to compact state object
     boardToCompactState(boardArray) {
         let emptyIndex = -1;
@@ -397,61 +931,31 @@ export class PuzzleSolver {
         };
     }
 
-    // Convert state to number for fast comparison
-    stateToNumber(state) {
-        let result = 0;
-        let multiplier = 1;
-        
-        for (let i = this.totalCells - 1; i >= 0; i--) {
-            result += state.board[i] * multiplier;
-            multiplier *= 16; // Base 16 for numbers 0-15
-        }
-        
-        return result;
+    // Exact key for a board - one character per cell, so no two boards ever share a key
+    // (packing into a single number stops being exact past 2^53, which a 4x4 board exceeds)
+    stateKey(state) {
+        return String.fromCharCode.apply(null, state.board);
     }
 
-    // Reconstruct path from goal to start
-    reconstructPath(cameFrom, current) {
+    // Follow the parent links in the table back to the start
+    reconstructPath(table, goalKey) {
         const path = [];
-        let currentKey = this.stateToNumber(current);
+        let entry = table.get(goalKey);
 
-        while (cameFrom.has(currentKey)) {
-            const prev = cameFrom.get(currentKey);
-            if (prev.move) {
-                path.unshift(prev.move);
-            }
-            current = prev.state;
-            currentKey = this.stateToNumber(current);
+        while (entry && entry.parent !== null) {
+            path.push(entry.move);
+            entry = table.get(entry.parent);
         }
 
-        return path;
+        return path.reverse();
     }
 
-    // Apply a sequence of moves to a board (updated for compact states)
-    applyMoves(initialBoard, moves) {
-        const states = [this.boardToCompactState(initialBoard)];
-        let currentBoard = initialBoard.slice();
-
-        for (const move of moves) {
-            const fromIndex = move.from.row * this.size + move.from.col;
-            const toIndex = move.to.row * this.size + move.to.col;
-            
-            currentBoard[toIndex] = move.value;
-            currentBoard[fromIndex] = 0;
-
-            states.push(this.boardToCompactState(currentBoard));
-        }
-
-        return states;
-    }
-
-    // Convert compact state to flat array
-    stateToArray(state) {
-        return state.board.slice();
-    }
-
-    // Check if puzzle is solvable using inversion count
-    isSolvable(boardArray) {
+    // What slides can't change about a board - { inversions, blankRow, parity }
+    // blankRow counts from the bottom, starting at 1. Only the width matters (never the height):
+    // Odd width - every move keeps the inversion count's parity, so that's the parity
+    // Even width - an up/down move flips it but also moves the blank a row, so the parity
+    //   is of inversions + blank row
+    getParity(boardArray) {
         let inversions = 0;
         let emptyRow = 0;
 
@@ -459,7 +963,7 @@ export class PuzzleSolver {
         const flatBoard = [];
         for (let i = 0; i < boardArray.length; i++) {
             if (boardArray[i] === 0) {
-                emptyRow = Math.floor(i / this.size);
+                emptyRow = Math.floor(i / this.cols);
             } else {
                 flatBoard.push(boardArray[i]);
             }
@@ -473,20 +977,52 @@ export class PuzzleSolver {
             }
         }
 
-        // For 4x4 puzzle:
-        // If empty space is on even row from bottom, inversions must be odd
-        // If empty space is on odd row from bottom, inversions must be even
-        const emptyRowFromBottom = this.size - emptyRow;
-        
-        if (this.size % 2 === 0) {
-            if (emptyRowFromBottom % 2 === 0) {
-                return inversions % 2 === 1;
-            } else {
-                return inversions % 2 === 0;
+        const blankRow = this.rows - emptyRow;
+        const parity = (this.cols % 2 === 0 ? inversions + blankRow : inversions) % 2;
+        return { inversions, blankRow, parity };
+    }
+
+    // Two boards can reach each other exactly when their parities match
+    canReach(fromBoard, toBoard) {
+        return this.getParity(fromBoard).parity === this.getParity(toBoard).parity;
+    }
+
+    // Check if puzzle is solvable, i.e. can reach the standard goal
+    isSolvable(boardArray) {
+        const solvedBoard = Array.from({ length: this.totalCells }, (_, i) => (i + 1) % this.totalCells);
+        return this.canReach(boardArray, solvedBoard);
+    }
+
+    // Swapping any two tiles (not the blank) flips the parity, so one swap always makes an
+    // unreachable pair reachable. Picks the swap that brings fromBoard's tiles nearest to where
+    // toBoard has them - returns { from, to, tiles } (two cells and the tiles in them)
+    findParityFix(fromBoard, toBoard) {
+        const targetCell = new Array(this.totalCells);
+        toBoard.forEach((value, cell) => {
+            targetCell[value] = cell;
+        });
+        const distance = (value, cell) => {
+            const goal = targetCell[value];
+            return Math.abs(Math.floor(cell / this.cols) - Math.floor(goal / this.cols)) +
+                Math.abs(cell % this.cols - goal % this.cols);
+        };
+
+        let best = null;
+        for (let a = 0; a < this.totalCells; a++) {
+            for (let b = a + 1; b < this.totalCells; b++) {
+                const first = fromBoard[a];
+                const second = fromBoard[b];
+                if (first === 0 || second === 0) continue;
+
+                const change = distance(first, b) + distance(second, a) - distance(first, a) - distance(second, b);
+                if (!best || change < best.change) {
+                    best = { from: a, to: b, tiles: [first, second], change };
+                }
             }
-        } else {
-            return inversions % 2 === 0;
         }
+
+        const { from, to, tiles } = best;
+        return { from, to, tiles };
     }
 
     // Turn the solution into easy-to-read steps
@@ -498,27 +1034,41 @@ export class PuzzleSolver {
             right: '→'
         };
         
-        return moves.map((move, index) => ({
-            step: index + 1,
-            tile: move.value,
-            from: move.from,
-            to: move.to,
-            direction: move.direction,
-            description: `Move tile ${move.value} ${move.direction} ${arrows[move.direction]}`,
-            shortDesc: `${move.value} ${arrows[move.direction]}`
-        }));
+        return moves.map((move, index) => {
+            const tiles = move.tiles || [move.value];
+            const slide = tiles.length > 1;
+
+            return {
+                step: index + 1,
+                tile: move.value,
+                tiles,
+                from: move.from,
+                to: move.to,
+                direction: move.direction,
+                description: slide
+                    ? `Slide ${tiles.join(', ')} ${move.direction} ${arrows[move.direction]}`
+                    : `Move tile ${move.value} ${move.direction} ${arrows[move.direction]}`,
+                shortDesc: `${tiles.join(',')} ${arrows[move.direction]}`
+            };
+        });
     }
 
     // Apply a sequence of moves to a board (updated for compact states)
+    // Works for slides too - every tile between the gap and move.from shifts one step
     applyMoves(initialBoard, moves) {
         const states = [this.boardToCompactState(initialBoard)];
         let currentBoard = initialBoard.slice();
 
         for (const move of moves) {
-            const fromIndex = move.from.row * this.size + move.from.col;
-            const toIndex = move.to.row * this.size + move.to.col;
+            const fromIndex = move.from.row * this.cols + move.from.col;
+            const toIndex = move.to.row * this.cols + move.to.col;
+            const step = move.from.row === move.to.row
+                ? Math.sign(fromIndex - toIndex)
+                : Math.sign(fromIndex - toIndex) * this.cols;
             
-            currentBoard[toIndex] = move.value;
+            for (let i = toIndex; i !== fromIndex; i += step) {
+                currentBoard[i] = currentBoard[i + step];
+            }
             currentBoard[fromIndex] = 0;
 
             states.push(this.boardToCompactState(currentBoard));
@@ -533,86 +1083,85 @@ export class PuzzleSolver {
     }
 
     // Guided BFS fallback for very difficult puzzles
-    async guidedBFS(start, goal, progressCallback) {
+    // progressFrom is where its progress reports start - they go up to 95
+    async guidedBFS(start, goal, progressCallback, { weight = 1, maxDepth = this.options.guidedMaxDepth, progressFrom = 70 } = {}) {
         const startTime = Date.now();
-        const maxTime = 15000; // Increased to 15 seconds for guided BFS
-        const maxStates = 60000; // Reasonable memory limit
+        const maxStates = this.options.guidedMaxNodes; // Reasonable memory limit
+        
+        this.prepareGoalPositions(goal.board);
         
         // Use priority queue for best-first search instead of pure BFS
-        const queue = new PriorityQueue();
-        const visited = new Set();
-        const goalKey = this.stateToNumber(goal);
-        const startKey = this.stateToNumber(start);
+        const queue = this.createQueue();
+        const table = new TranspositionTable(); // Every board we've queued and how we got there
+        const goalKey = this.stateKey(goal);
+        const startKey = this.stateKey(start);
         
-        console.log('Guided BFS starting, goal key:', goalKey);
+        console.log('Guided BFS starting');
         
         // Start with initial state
-        queue.enqueue({ state: start, path: [] }, this.manhattanHeuristic(start));
-        visited.add(startKey);
+        const startHeuristic = this.manhattanHeuristic(start);
+        queue.enqueue({ state: start, key: startKey, depth: 0 }, weight * startHeuristic, startHeuristic);
+        table.set(startKey, { g: 0, parent: null, move: null });
         
         let iterations = 0;
-        let bestHeuristic = this.manhattanHeuristic(start);
+        let bestHeuristic = startHeuristic;
         
         while (!queue.isEmpty() && iterations < maxStates) {
             iterations++;
-            const elapsed = Date.now() - startTime;
             
-            // Take a break every 100 tries so the page doesn't freeze
+            // Every 100 states give a cancel a chance to get through (and report progress below)
             if (iterations % 100 === 0) {
-                if (progressCallback) {
-                    progressCallback({
-                        status: `Guided search (h=${bestHeuristic})... (${Math.floor(elapsed/1000)}s)`,
-                        progress: 70 + (iterations / maxStates) * 25,
-                        iterations
-                    });
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 1));
-                
-                if (elapsed > maxTime) {
-                    console.log('Guided BFS timeout after', elapsed, 'ms');
-                    return null;
-                }
+                await this.checkpoint();
             }
             
-            const { state, path } = queue.dequeue();
-            const currentKey = this.stateToNumber(state);
+            const { state, key: currentKey, depth } = queue.dequeue();
             const currentHeuristic = this.manhattanHeuristic(state);
             
             // Track best heuristic seen
             if (currentHeuristic < bestHeuristic) {
                 bestHeuristic = currentHeuristic;
-                console.log('Found a closer state:', bestHeuristic, 'at depth', path.length);
+                console.log('Found a closer state:', bestHeuristic, 'at depth', depth);
+            }
+            if (iterations % 100 === 0) {
+                const elapsed = Date.now() - startTime;
+                this.reportProgress(progressCallback, {
+                    status: `Guided search (h=${bestHeuristic})... (${Math.floor(elapsed/1000)}s)`,
+                    progress: progressFrom + (iterations / maxStates) * (95 - progressFrom),
+                    depth,
+                    bestHeuristic,
+                    boardsInMemory: table.size,
+                    eta: this.etaForNodes(maxStates - iterations)
+                });
             }
             
             // Check if we've reached the goal
             if (currentKey === goalKey) {
-                console.log('Guided BFS found solution with', path.length, 'moves');
-                if (progressCallback) {
-                    progressCallback({ status: 'Guided search found solution!', progress: 100 });
-                }
-                return path;
+                console.log('Guided BFS found solution with', depth, 'moves');
+                this.reportProgress(progressCallback, { status: 'Guided search found solution!', progress: 100, phase: 'done', depth });
+                return this.reconstructPath(table, currentKey);
             }
             
             // Don't explore paths that are too long or have poor heuristic
-            if (path.length >= 45) {
+            if (depth >= maxDepth) {
                 continue;
             }
             
+            this.nodesExpanded++;
             const neighbors = this.getNeighbors(state);
             
             for (const neighbor of neighbors) {
-                const neighborKey = this.stateToNumber(neighbor);
+                const neighborKey = this.stateKey(neighbor);
                 
-                if (!visited.has(neighborKey)) {
-                    visited.add(neighborKey);
+                if (!table.has(neighborKey)) {
+                    table.set(neighborKey, { g: depth + 1, parent: currentKey, move: neighbor.lastMove });
                     const neighborHeuristic = this.manhattanHeuristic(neighbor);
                     
                     // Use f = g + h for priority (A* style)
                     queue.enqueue({
                         state: neighbor,
-                        path: [...path, neighbor.lastMove]
-                    }, neighborHeuristic + path.length + 1);
+                        key: neighborKey,
+                        depth: depth + 1
+                    }, weight * neighborHeuristic + depth + 1, neighborHeuristic);
                 }
             }
         }
@@ -623,52 +1172,50 @@ export class PuzzleSolver {
     }
 }
 
-// Simple priority queue for the search methods
-class PriorityQueue {
+// Everything the searches know about the boards they've seen, keyed by stateKey()
+class TranspositionTable {
     constructor() {
-        this.elements = [];
+        this.entries = new Map();
+        this.closedCount = 0;
     }
 
-    enqueue(item, priority) {
-        const queueElement = { item, priority };
-        let added = false;
-        
-        for (let i = 0; i < this.elements.length; i++) {
-            if (queueElement.priority < this.elements[i].priority) {
-                this.elements.splice(i, 0, queueElement);
-                added = true;
-                break;
-            }
-        }
-        
-        if (!added) {
-            this.elements.push(queueElement);
-        }
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    has(key) {
+        return this.entries.has(key);
     }
 
-    dequeue() {
-        return this.elements.shift()?.item;
+    set(key, entry) {
+        this.entries.set(key, entry);
     }
 
-    peek() {
-        return this.elements[0]?.item;
+    // Mark a board as fully expanded (A* never needs to look at it again)
+    close(key) {
+        const entry = this.entries.get(key);
+        if (entry && !entry.closed) {
+            entry.closed = true;
+            this.closedCount++;
+        }
     }
 
-    size() {
-        return this.elements.length;
+    delete(key) {
+        this.entries.delete(key);
     }
 
-    isEmpty() {
-        return this.elements.length === 0;
+    get size() {
+        return this.entries.size;
     }
 }
 
 // Helper function to validate board input
-export function validateBoardInput(input, size = 4) {
+export function validateBoardInput(input, rows = 4, cols = rows) {
     const parts = input.split(',').map(s => s.trim());
+    const cells = rows * cols;
     
-    if (parts.length !== size * size) {
-        throw new Error(`Board must have ${size * size} values.`);
+    if (parts.length !== cells) {
+        throw new Error(`Board must have ${cells} values.`);
     }
 
     const numbers = parts.map(p => {
@@ -685,7 +1232,7 @@ export function validateBoardInput(input, size = 4) {
         throw new Error('Duplicate values found.');
     }
 
-    for (let i = 0; i < size * size; i++) {
+    for (let i = 0; i < cells; i++) {
         if (!values.has(i)) {
             throw new Error(`Missing value: ${i}`);
         }
@@ -0,0 +1,212 @@
+// Stats screen - personal bests, averages, a chart and every finished game
+import { averageOfLast } from './game-stats.js';
+
+// m:ss, with tenths when it isn't a whole number of seconds (averages)
+function formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds - mins * 60;
+    const text = Number.isInteger(secs) ? secs.toString() : secs.toFixed(1);
+    return `${mins}:${text.padStart(Number.isInteger(secs) ? 2 : 4, '0')}`;
+}
+
+function formatMoves(moves) {
+    return Number.isInteger(moves) ? moves.toString() : moves.toFixed(1);
+}
+
+export class StatsDashboard {
+    // onReplay gets called with a recorded game when its replay button is clicked
+    constructor(stats, onReplay = null) {
+        this.stats = stats;
+        this.onReplay = onReplay;
+        this.modal = document.getElementById('stats-modal');
+        this.shapeSelect = document.getElementById('stats-shape');
+        this.shape = null;
+
+        document.getElementById('close-stats-modal')?.addEventListener('click', () => this.close());
+        this.modal?.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        this.shapeSelect?.addEventListener('change', () => {
+            this.shape = this.shapeSelect.value;
+            this.render();
+        });
+        document.getElementById('export-stats-btn')?.addEventListener('click', () => this.exportHistory());
+        document.getElementById('clear-stats-btn')?.addEventListener('click', () => this.clearHistory());
+    }
+
+    // Show the stats, starting on the board shape being played
+    open(shape) {
+        if (!this.modal) return;
+        this.shape = shape;
+        this.modal.classList.remove('hidden');
+        this.render();
+    }
+
+    close() {
+        this.modal?.classList.add('hidden');
+    }
+
+    render() {
+        const shapes = this.stats.getShapes();
+        if (!shapes.includes(this.shape)) shapes.unshift(this.shape);
+
+        this.shapeSelect.innerHTML = '';
+        shapes.forEach(shape => {
+            const option = document.createElement('option');
+            option.value = shape;
+            option.textContent = shape;
+            this.shapeSelect.appendChild(option);
+        });
+        this.shapeSelect.value = this.shape;
+
+        const games = this.stats.getGames(this.shape);
+        document.getElementById('stats-empty').classList.toggle('hidden', games.length > 0);
+        this.renderSummary(games);
+        this.renderChart(games);
+        this.renderHistory(games);
+    }
+
+    // Bests and averages - ao5/ao12 drop the best and worst game before averaging
+    renderSummary(games) {
+        const best = this.stats.forShape(this.shape);
+        const times = games.map(game => game.time);
+        const moves = games.map(game => game.moves);
+        const average = (n) => {
+            const time = averageOfLast(times, n);
+            return time === null ? '-' : `${formatTime(time)} / ${formatMoves(averageOfLast(moves, n))} moves`;
+        };
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const rows = [
+            ['Games Solved', best.solved],
+            ['Best Time', best.bestTime === null ? '-' : formatTime(best.bestTime)],
+            ['Fewest Moves', best.bestMoves === null ? '-' : best.bestMoves],
+            ['Average of 5', average(5)],
+            ['Average of 12', average(12)],
+            ['Mean', games.length ? `${formatTime(mean(times))} / ${formatMoves(mean(moves))} moves` : '-']
+        ];
+
+        const summary = document.getElementById('stats-summary');
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            item.innerHTML = `<div class="stat-label">${label}:</div><div class="stat-value">${value}</div>`;
+            summary.appendChild(item);
+        });
+    }
+
+    // Time for every game, plus the running ao5 so the trend is easier to see
+    renderChart(games) {
+        const canvas = document.getElementById('stats-chart');
+        canvas.classList.toggle('hidden', games.length < 2);
+        if (games.length < 2) return;
+
+        // Draw at the screen's real resolution so the lines stay sharp
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.clearRect(0, 0, width, height);
+
+        const style = getComputedStyle(document.documentElement);
+        const padding = 30;
+        const times = games.map(game => game.time);
+        const maxTime = Math.max(...times);
+        const x = (i) => padding + i * (width - 2 * padding) / (games.length - 1);
+        const y = (time) => height - padding - time * (height - 2 * padding) / maxTime;
+
+        // Axes and the slowest time for scale
+        ctx.strokeStyle = style.getPropertyValue('--text-secondary');
+        ctx.fillStyle = style.getPropertyValue('--text-secondary');
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.stroke();
+        ctx.font = '11px sans-serif';
+        ctx.fillText(formatTime(maxTime), 2, padding - 6);
+        ctx.fillText('older → newer', width - padding - 70, height - 10);
+
+        const drawLine = (points, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+            ctx.stroke();
+        };
+
+        drawLine(times.map((time, i) => [x(i), y(time)]), style.getPropertyValue('--accent-even'));
+
+        const rolling = [];
+        for (let i = 4; i < times.length; i++) {
+            rolling.push([x(i), y(averageOfLast(times.slice(0, i + 1), 5))]);
+        }
+        if (rolling.length > 1) {
+            drawLine(rolling, style.getPropertyValue('--accent-odd-light'));
+        }
+    }
+
+    // Newest game first
+    renderHistory(games) {
+        const body = document.getElementById('stats-history-body');
+        body.innerHTML = '';
+        [...games].reverse().forEach(game => {
+            const row = document.createElement('tr');
+            const cells = [
+                new Date(game.date).toLocaleDateString(),
+                game.moves,
+                formatTime(game.time),
+                game.hints,
+                game.undos
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const replayCell = document.createElement('td');
+            const replay = this.stats.getReplay(game);
+            if (replay && this.onReplay) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-tertiary btn-small';
+                button.title = 'Watch this game';
+                button.innerHTML = '<i class="fas fa-film"></i>';
+                button.addEventListener('click', () => {
+                    this.close();
+                    this.onReplay(replay);
+                });
+                replayCell.appendChild(button);
+            }
+            row.appendChild(replayCell);
+            body.appendChild(row);
+        });
+    }
+
+    // Every game on every board as a spreadsheet-friendly CSV file
+    exportHistory() {
+        const lines = ['date,shape,moves,time_seconds,hints,undos,scramble'];
+        this.stats.history.forEach(game => {
+            const scramble = game.scramble ? game.scramble.join(' ') : '';
+            lines.push([game.date, game.shape, game.moves, game.time, game.hints, game.undos, scramble].join(','));
+        });
+
+        const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'slide15-history.csv';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    clearHistory() {
+        if (!confirm('Delete every finished game and personal best? This cannot be undone.')) return;
+        this.stats.clear();
+        this.render();
+    }
+}